@@ -20,17 +20,19 @@ window.setup = function() {
   ls = createLayerSystem();
 
   // Create a background layer with gradient
-  ls.createLayer('Background');
+  // Every layer is redrawn from scratch each frame
+  const everyFrame = { clearMode: ClearModes.EVERY_FRAME };
+  ls.createLayer('Background', everyFrame);
   
   // Create three ellipse layers matching MDN example
   // Rotated at -30°, 90°, and 210° like the CSS example
-  ls.createLayer('Red Ellipse')
+  ls.createLayer('Red Ellipse', everyFrame)
     .setBlendMode(BlendModes.NORMAL);
   
-  ls.createLayer('Green Ellipse')
+  ls.createLayer('Green Ellipse', everyFrame)
     .setBlendMode(BlendModes.NORMAL);
   
-  ls.createLayer('Blue Ellipse')
+  ls.createLayer('Blue Ellipse', everyFrame)
     .setBlendMode(BlendModes.NORMAL);
 
   // Create the UI panel to control layers
@@ -42,7 +44,6 @@ window.setup = function() {
 window.draw = function() {
   // Background - render the pre-created gradient
   ls.begin('Background');
-  clear();
   push();
   imageMode(CENTER);
   image(backgroundGraphic, 0, 0);
@@ -51,7 +52,6 @@ window.draw = function() {
 
   // Red ellipse - rotated -30 degrees
   ls.begin('Red Ellipse');
-  clear();
   push();
   rotate(radians(30));
   imageMode(CENTER);
@@ -61,7 +61,6 @@ window.draw = function() {
 
   // Green ellipse - rotated 90 degrees
   ls.begin('Green Ellipse');
-  clear();
   push();
   rotate(radians(90));
   imageMode(CENTER);
@@ -71,7 +70,6 @@ window.draw = function() {
 
   // Blue ellipse - rotated 210 degrees
   ls.begin('Blue Ellipse');
-  clear();
   push();
   rotate(radians(150));
   imageMode(CENTER);
@@ -1,5 +1,5 @@
 /* eslint-disable no-unused-vars */
-/* global createCanvas, windowWidth, windowHeight, WEBGL, createLayerSystem, BlendModes, clear, noStroke, width, height, lerpColor, color, fill, red, green, blue, circle, line, stroke, strokeWeight, TWO_PI, resizeCanvas */
+/* global createCanvas, windowWidth, windowHeight, WEBGL, createLayerSystem, BlendModes, ClearModes, clear, noStroke, width, height, lerpColor, color, fill, red, green, blue, circle, line, stroke, strokeWeight, TWO_PI, resizeCanvas */
 
 let layers;
 let orbitAngle = 0;
@@ -8,11 +8,11 @@ function setup() {
   createCanvas(windowWidth, windowHeight, WEBGL);
   layers = createLayerSystem();
 
-  layers.createLayer('Background');
-  layers.createLayer('Grid')
+  layers.createLayer('Background', { clearMode: ClearModes.EVERY_FRAME });
+  layers.createLayer('Grid', { clearMode: ClearModes.EVERY_FRAME })
     .setBlendMode(BlendModes.SOFT_LIGHT)
     .setOpacity(0.75);
-  layers.createLayer('Orbs')
+  layers.createLayer('Orbs', { clearMode: ClearModes.EVERY_FRAME })
     .setBlendMode(BlendModes.ADD)
     .setOpacity(0.9);
 
@@ -31,7 +31,6 @@ function draw() {
 
 function drawBackgroundLayer() {
   layers.begin('Background');
-  clear();
   noStroke();
 
   const rings = 6;
@@ -48,7 +47,6 @@ function drawBackgroundLayer() {
 
 function drawGridLayer() {
   layers.begin('Grid');
-  clear();
   stroke(255, 40);
   strokeWeight(1);
 
@@ -65,7 +63,6 @@ function drawGridLayer() {
 
 function drawOrbsLayer() {
   layers.begin('Orbs');
-  clear();
   noStroke();
 
   const orbCount = 5;
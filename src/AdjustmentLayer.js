@@ -0,0 +1,164 @@
+import { Layer } from './Layer.js';
+import { AdjustmentTypes, ADJUSTMENT_PARAMS, getAdjustmentTypeIndex } from './constants.js';
+import { evaluateCurve, evaluateGradient, LUT_SIZE, writeLut } from './utils/adjustments.js';
+import { applyParams, cloneParam, getDefaultParams } from './utils/params.js';
+
+/**
+ * A non-destructive color correction that recolors everything beneath it.
+ * Adjustment layers share the visibility, opacity, mask and clipping API of
+ * Layer but have no framebuffer of their own.
+ */
+export class AdjustmentLayer extends Layer {
+  /**
+   * @param {p5} p5Instance - The p5.js instance
+   * @param {string|number} id - Unique identifier for this layer
+   * @param {string} name - Human-readable name for this layer
+   * @param {Object} options - Layer configuration options
+   * @param {string} options.type - One of the AdjustmentTypes constants
+   * @param {Object} options.params - Initial adjustment parameters (see ADJUSTMENT_PARAMS)
+   */
+  constructor(p5Instance, id, name = '', options = {}) {
+    super(p5Instance, id, name || `Adjustment ${id}`, options);
+
+    this.adjustmentType = options.type;
+
+    // Start from the defaults of the adjustment type
+    this.params = getDefaultParams(ADJUSTMENT_PARAMS[this.adjustmentType]);
+
+    // Lookup texture for curves and gradient maps, rebuilt when params change
+    this._lut = null;
+    this._lutDirty = true;
+
+    if (options.params) {
+      this.setParams(options.params);
+    }
+  }
+
+  get isAdjustment() {
+    return true;
+  }
+
+  get usesFramebuffer() {
+    return false;
+  }
+
+  /**
+   * Whether this adjustment reads from a lookup texture
+   * @returns {boolean}
+   */
+  get usesLut() {
+    return this.adjustmentType === AdjustmentTypes.CURVES ||
+      this.adjustmentType === AdjustmentTypes.GRADIENT_MAP;
+  }
+
+  /**
+   * Updates some or all of the adjustment parameters.
+   * Numeric parameters are clamped to their range.
+   * @param {Object} params - Parameters to change
+   * @returns {AdjustmentLayer} This layer for chaining
+   */
+  setParams(params = {}) {
+    if (this._rejectIfPropertiesLocked('set adjustment params')) return this;
+
+    applyParams(ADJUSTMENT_PARAMS[this.adjustmentType] || {}, this.params, params, `${this.adjustmentType} adjustment`);
+
+    this._lutDirty = true;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Packs the numeric parameters into the two vec4 uniforms used by adjustment.frag
+   * @returns {{type: number, params1: number[], params2: number[]}}
+   */
+  getShaderParams() {
+    const p = this.params;
+    let params1 = [0, 0, 0, 0];
+    let params2 = [0, 0, 0, 0];
+
+    switch (this.adjustmentType) {
+    case AdjustmentTypes.BRIGHTNESS_CONTRAST:
+      params1 = [p.brightness, p.contrast, 0, 0];
+      break;
+    case AdjustmentTypes.HUE_SATURATION:
+      params1 = [p.hue, p.saturation, p.lightness, 0];
+      break;
+    case AdjustmentTypes.LEVELS:
+      params1 = [p.inputBlack, p.inputWhite, p.gamma, 0];
+      params2 = [p.outputBlack, p.outputWhite, 0, 0];
+      break;
+    case AdjustmentTypes.THRESHOLD:
+      params1 = [p.level, 0, 0, 0];
+      break;
+    default:
+      break;
+    }
+
+    return {
+      type: getAdjustmentTypeIndex(this.adjustmentType),
+      params1,
+      params2
+    };
+  }
+
+  /**
+   * Gets the lookup texture for curves and gradient maps, rebuilding it if the params changed.
+   * Curves store one channel curve per color channel (the rgb curve is applied on top);
+   * gradient maps store the gradient color for each luminance.
+   * @returns {p5.Image|null} A 256x1 image, or null for adjustments without a lookup texture
+   */
+  getLut() {
+    if (!this.usesLut) {
+      return null;
+    }
+    if (this._lut && !this._lutDirty) {
+      return this._lut;
+    }
+
+    if (!this._lut) {
+      this._lut = this.p.createImage(LUT_SIZE, 1);
+    }
+
+    writeLut(this._lut, x => {
+      if (this.adjustmentType === AdjustmentTypes.CURVES) {
+        return [this.params.red, this.params.green, this.params.blue]
+          .map(channel => evaluateCurve(this.params.rgb, evaluateCurve(channel, x)) * 255);
+      }
+      return evaluateGradient(this.params.stops, x);
+    });
+
+    this._lutDirty = false;
+    return this._lut;
+  }
+
+  /**
+   * Adjustment layers cannot be drawn to
+   */
+  begin() {
+    console.error(`Cannot begin drawing: ${this.name} is an adjustment layer.`);
+  }
+
+  /**
+   * Adjustment layers cannot be drawn to
+   */
+  end() {}
+
+  /**
+   * Disposes of this layer's resources
+   */
+  dispose() {
+    this._lut = null;
+    super.dispose();
+  }
+
+  /**
+   * Returns a plain object representation of this layer's properties
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      adjustmentType: this.adjustmentType,
+      params: cloneParam(this.params)
+    };
+  }
+}
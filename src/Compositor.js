@@ -1,6 +1,14 @@
-import { getBlendModeIndex } from './constants.js';
+import { BlendModes, BufferFormats, GroupModes, HDR_BLEND_MODES, ToneMappingOperators, getBlendModeIndex } from './constants.js';
+import { isBufferFormatSupported, toP5Format } from './utils/formats.js';
+import { createCanvasToLayerMatrix } from './utils/transform.js';
+import { EffectRenderer } from './EffectRenderer.js';
 import compositorVertSource from './shaders/compositor.vert';
 import compositorFragSource from './shaders/compositor.frag';
+import adjustmentFragSource from './shaders/adjustment.frag';
+import depthFragSource from './shaders/depth.frag';
+import toneMapFragSource from './shaders/toneMap.frag';
+
+const IDENTITY_MATRIX = [1, 0, 0, 0, 1, 0, 0, 0, 1];
 
 /**
  * Handles the compositing of layers to the main canvas
@@ -13,9 +21,51 @@ export class Compositor {
     this.p = p5Instance;
     this.shader = null;
     this.shaderLoaded = false;
+    this.adjustmentShader = null;
+    this.effectRenderer = new EffectRenderer(p5Instance);
     this.bufferA = null;
     this.bufferB = null;
+    this.groupBuffers = []; // One ping-pong pair per group nesting level
     this._bufferDensity = null;
+    this._bufferFormat = null;
+
+    // Composite cache (see render()): the previous result and the layer keys it was
+    // built from, plus a copy of the composite below the lowest changed layer
+    this.partialBuffer = null;
+    this._cachedKeys = null;
+    this._cachedResult = null;
+    this._partialKeys = null;
+
+    // Layers shown while soloing, only set during render() (see _isVisible())
+    this._solo = null;
+
+    // Nearest depth of the layers composited so far, only tracked while a
+    // depth-tested layer is visible (see _beginDepth())
+    this.depthShader = null;
+    this.depthBuffers = null;
+    this._sceneDepth = null;
+    this._depthUnsupportedWarned = false;
+
+    // Clipped layers already reported as drawn unclipped (see _compositeLayers())
+    this._unclippedWarned = new WeakSet();
+
+    // HDR compositing (see setHDR()): float intermediate buffers, tone mapped
+    // into outputBuffer for the canvas. Null while compositing in 8 bits.
+    this.hdr = null;
+    this.toneMapShader = null;
+    this.outputBuffer = null;
+  }
+
+  /**
+   * Switches between 8-bit and HDR compositing. Buffers are recreated on the
+   * next composite if their format changes.
+   * @param {Object|null} settings - HDR settings, or null for 8-bit compositing
+   * @param {string} settings.format - BufferFormats.HALF_FLOAT or FLOAT (must be supported)
+   * @param {string} settings.toneMapping - One of the ToneMappingOperators constants
+   * @param {number} settings.exposure - Exposure in stops, applied before tone mapping
+   */
+  setHDR(settings) {
+    this.hdr = settings ? { ...settings } : null;
   }
 
   /**
@@ -35,6 +85,54 @@ export class Compositor {
     return this.shader;
   }
 
+  /**
+   * Lazily creates the shader used by adjustment layers
+   * @private
+   */
+  _ensureAdjustmentShader() {
+    if (!this.adjustmentShader) {
+      try {
+        this.adjustmentShader = this.p.createShader(compositorVertSource, adjustmentFragSource);
+      } catch (e) {
+        console.error('Failed to create adjustment shader:', e);
+        this.adjustmentShader = null;
+      }
+    }
+    return this.adjustmentShader;
+  }
+
+  /**
+   * Lazily creates the shader that accumulates the depth of the composited layers
+   * @private
+   */
+  _ensureDepthShader() {
+    if (!this.depthShader) {
+      try {
+        this.depthShader = this.p.createShader(compositorVertSource, depthFragSource);
+      } catch (e) {
+        console.error('Failed to create depth shader:', e);
+        this.depthShader = null;
+      }
+    }
+    return this.depthShader;
+  }
+
+  /**
+   * Lazily creates the shader that maps HDR composites to the canvas range
+   * @private
+   */
+  _ensureToneMapShader() {
+    if (!this.toneMapShader) {
+      try {
+        this.toneMapShader = this.p.createShader(compositorVertSource, toneMapFragSource);
+      } catch (e) {
+        console.error('Failed to create tone mapping shader:', e);
+        this.toneMapShader = null;
+      }
+    }
+    return this.toneMapShader;
+  }
+
   /**
    * Ensures the ping-pong buffers exist and match canvas size
    * @private
@@ -43,45 +141,255 @@ export class Compositor {
     const p = this.p;
     
     const currentDensity = p.pixelDensity();
+    const currentFormat = this.hdr ? this.hdr.format : BufferFormats.UNSIGNED_BYTE;
     const needsResize = !this.bufferA || 
               this.bufferA.width !== p.width || 
               this.bufferA.height !== p.height ||
-              this._bufferDensity !== currentDensity;
+              this._bufferDensity !== currentDensity ||
+              this._bufferFormat !== currentFormat;
     
     if (needsResize) {
       if (this.bufferA) {
         this.bufferA.remove();
         this.bufferB.remove();
       }
+
+      // Group buffers are recreated lazily at the new size
+      this._disposeGroupBuffers();
+      this._disposeDepthBuffers();
+      this._disposePartialBuffer();
+      this._disposeOutputBuffer();
+      this.invalidateCache();
       
-      const bufferOptions = {
-        width: p.width,
-        height: p.height,
-        density: currentDensity,
-        antialias: false,
-        depth: false
-      };
+      const bufferOptions = this._getBufferOptions();
       
       this.bufferA = p.createFramebuffer(bufferOptions);
       this.bufferB = p.createFramebuffer(bufferOptions);
       this._bufferDensity = currentDensity;
+      this._bufferFormat = currentFormat;
     }
     
     return { a: this.bufferA, b: this.bufferB };
   }
 
+  /**
+   * Removes the buffer holding the partial composite
+   * @private
+   */
+  _disposePartialBuffer() {
+    if (this.partialBuffer) {
+      this.partialBuffer.remove();
+      this.partialBuffer = null;
+    }
+    this._partialKeys = null;
+  }
+
+  /**
+   * Removes the 8-bit buffer that HDR composites are tone mapped into
+   * @private
+   */
+  _disposeOutputBuffer() {
+    if (this.outputBuffer) {
+      this.outputBuffer.remove();
+      this.outputBuffer = null;
+    }
+  }
+
+  /**
+   * Forgets the cached composites so the next render() composites every layer
+   */
+  invalidateCache() {
+    this._cachedKeys = null;
+    this._cachedResult = null;
+    this._partialKeys = null;
+  }
+
+  /**
+   * Options shared by all intermediate compositing buffers (float while compositing in HDR)
+   * @private
+   */
+  _getBufferOptions() {
+    const p = this.p;
+    const options = {
+      width: p.width,
+      height: p.height,
+      density: p.pixelDensity(),
+      antialias: false,
+      depth: false
+    };
+    if (this.hdr) {
+      options.format = toP5Format(p, this.hdr.format);
+    }
+    return options;
+  }
+
+  /**
+   * Ensures a ping-pong pair exists for compositing groups at the given nesting level
+   * @param {number} level - Nesting level (0 for groups at the root of the stack)
+   * @private
+   */
+  _ensureGroupBuffers(level) {
+    if (!this.groupBuffers[level]) {
+      const bufferOptions = this._getBufferOptions();
+      this.groupBuffers[level] = {
+        a: this.p.createFramebuffer(bufferOptions),
+        b: this.p.createFramebuffer(bufferOptions)
+      };
+    }
+    return this.groupBuffers[level];
+  }
+
+  /**
+   * Removes all group compositing buffers
+   * @private
+   */
+  _disposeGroupBuffers() {
+    this.groupBuffers.forEach(pair => {
+      pair.a.remove();
+      pair.b.remove();
+    });
+    this.groupBuffers = [];
+  }
+
+  /**
+   * Ensures the ping-pong pair holding the scene depth exists. Depth is stored
+   * in the red channel of float buffers to keep its precision.
+   * @returns {Object|null} The buffers, or null if the browser cannot render to float textures
+   * @private
+   */
+  _ensureDepthBuffers() {
+    if (!isBufferFormatSupported(this.p, BufferFormats.FLOAT)) {
+      // Fewer bits would quantise the depth and make depth-tested layers flicker
+      if (!this._depthUnsupportedWarned) {
+        this._depthUnsupportedWarned = true;
+        console.warn('Depth testing needs float textures, which this browser does not support. ' +
+          'Depth-tested layers are composited without it.');
+      }
+      return null;
+    }
+    if (!this.depthBuffers) {
+      const bufferOptions = { ...this._getBufferOptions(), format: toP5Format(this.p, BufferFormats.FLOAT) };
+      this.depthBuffers = {
+        a: this.p.createFramebuffer(bufferOptions),
+        b: this.p.createFramebuffer(bufferOptions)
+      };
+    }
+    return this.depthBuffers;
+  }
+
+  /**
+   * Removes the scene depth buffers
+   * @private
+   */
+  _disposeDepthBuffers() {
+    if (this.depthBuffers) {
+      this.depthBuffers.a.remove();
+      this.depthBuffers.b.remove();
+      this.depthBuffers = null;
+    }
+    this._sceneDepth = null;
+  }
+
+  /**
+   * Starts tracking the scene depth if any visible layer is depth-tested
+   * @param {Layer[]} layers - Root-level layers and groups about to be composited
+   * @returns {boolean} Whether depth is tracked during this composite
+   * @private
+   */
+  _beginDepth(layers) {
+    this._sceneDepth = null;
+    if (!this._hasDepthTest(layers)) {
+      return false;
+    }
+
+    const p = this.p;
+    const buffers = this._ensureDepthBuffers();
+    if (!buffers) {
+      return false;
+    }
+    buffers.a.begin();
+    p.clear();
+    p.background(255);
+    buffers.a.end();
+    this._sceneDepth = buffers.a;
+    return true;
+  }
+
+  /**
+   * Whether any visible layer, including those inside visible groups, is depth-tested
+   * @private
+   */
+  _hasDepthTest(layers) {
+    return layers.some(layer => this._isVisible(layer) &&
+      (layer.isGroup ? this._hasDepthTest(layer.children) : layer.depthTest));
+  }
+
+  /**
+   * Gets the depth texture of a layer created with depth: true
+   * @private
+   */
+  _getDepthTexture(layer) {
+    return (layer.usesFramebuffer && layer.depth && layer.framebuffer && layer.framebuffer.depth) || null;
+  }
+
+  /**
+   * Adds the depth of a composited layer to the scene depth, so that the
+   * depth-tested layers above it are hidden behind its 3D content
+   * @param {Layer} layer - A layer with a depth buffer
+   * @private
+   */
+  _writeDepth(layer) {
+    const shader = this._ensureDepthShader();
+    if (!shader) {
+      return;
+    }
+
+    const p = this.p;
+    const target = this._sceneDepth === this.depthBuffers.a ? this.depthBuffers.b : this.depthBuffers.a;
+    const layerMatrix = this._getLayerMatrix(layer);
+
+    target.begin();
+    p.clear();
+    p.push();
+    p.blendMode(p.BLEND);
+    p.shader(shader);
+
+    shader.setUniform('sceneDepthTexture', this._sceneDepth);
+    shader.setUniform('layerDepthTexture', this._getDepthTexture(layer));
+    shader.setUniform('canvasSize', [p.width, p.height]);
+    shader.setUniform('hasTransform', layerMatrix ? true : false);
+    shader.setUniform('layerTransform', layerMatrix || IDENTITY_MATRIX);
+
+    p.rectMode(p.CENTER);
+    p.noStroke();
+    p.fill(255);
+    p.rect(0, 0, p.width, p.height);
+
+    p.resetShader();
+    p.pop();
+    target.end();
+
+    this._sceneDepth = target;
+  }
+
   /**
    * Renders a single layer to the current framebuffer
    * @param {Layer} layer - The layer to render
    * @param {p5.Framebuffer} backgroundBuffer - The background to composite onto
+   * @param {Object} [source] - Overrides for groups and for layers with effects
+   * @param {p5.Framebuffer} [source.texture] - Texture to use instead of the layer's framebuffer
+   * @param {p5.Framebuffer} [source.styleTexture] - The layer's effects without its pixels (fill opacity)
+   * @param {string} [source.blendMode] - Blend mode to use instead of the layer's blend mode
+   * @param {Layer} [source.clipBase] - Base layer whose alpha limits this layer (clipping masks)
    * @private
    */
-  _renderLayer(layer, backgroundBuffer) {
-    if (!layer.visible || layer.opacity <= 0) {
+  _renderLayer(layer, backgroundBuffer, source = {}) {
+    if (!this._isVisible(layer) || layer.opacity <= 0) {
       return;
     }
 
-    if (!layer.framebuffer) {
+    const texture = source.texture || layer.framebuffer;
+    if (!texture) {
       console.warn(`Layer ${layer.name} has no framebuffer, skipping`);
       return;
     }
@@ -104,12 +412,34 @@ export class Compositor {
     p.shader(shader);
 
     // Set uniforms
-    shader.setUniform('layerTexture', layer.framebuffer);
+    shader.setUniform('layerTexture', texture);
     shader.setUniform('backgroundTexture', backgroundBuffer);
-    shader.setUniform('maskTexture', layer.mask || layer.framebuffer);
+    shader.setUniform('maskTexture', layer.mask || texture);
     shader.setUniform('hasMask', layer.mask ? true : false);
     shader.setUniform('layerOpacity', layer.opacity);
-    shader.setUniform('blendMode', getBlendModeIndex(layer.blendMode));
+    const blendMode = source.blendMode || layer.blendMode;
+    shader.setUniform('blendMode', getBlendModeIndex(blendMode));
+    shader.setUniform('unclamped', this.hdr ? true : false);
+    shader.setUniform('clampBlendInputs', this.hdr && !HDR_BLEND_MODES.includes(blendMode) ? true : false);
+
+    // Fill opacity fades the layer's pixels; effects drawn beneath them come from styleTexture
+    shader.setUniform('fillOpacity', layer.usesFramebuffer ? layer.fillOpacity : 1);
+    shader.setUniform('styleTexture', source.styleTexture || texture);
+    shader.setUniform('hasStyles', source.styleTexture ? true : false);
+
+    // Clipping: the base layer's alpha, mask and opacity limit this layer's coverage
+    this._setClipUniforms(shader, source.clipBase || null, texture);
+
+    // Depth test against the layers composited below (see Layer.setDepthTest())
+    const depthTexture = layer.depthTest && this._sceneDepth ? this._getDepthTexture(layer) : null;
+    shader.setUniform('hasDepthTest', depthTexture ? true : false);
+    shader.setUniform('layerDepthTexture', depthTexture || texture);
+    shader.setUniform('sceneDepthTexture', this._sceneDepth || texture);
+
+    // Transforms: map canvas coordinates into each layer's own texture space
+    const layerMatrix = this._getLayerMatrix(layer);
+    shader.setUniform('hasTransform', layerMatrix ? true : false);
+    shader.setUniform('layerTransform', layerMatrix || IDENTITY_MATRIX);
 
     // Draw a full-screen quad
     p.imageMode(p.CENTER);
@@ -126,65 +456,492 @@ export class Compositor {
   }
 
   /**
-   * Composites all layers to the main canvas using ping-pong buffering
-   * @param {Layer[]} layers - Array of layers to composite (should be pre-sorted by zIndex)
+   * Sets the clipping uniforms shared by the compositor and adjustment shaders
+   * @param {p5.Shader} shader - The shader to configure
+   * @param {Layer|null} clipBase - Base layer of a clipping mask, or null
+   * @param {p5.Framebuffer} fallbackTexture - Bound to unused samplers
+   * @private
+   */
+  _setClipUniforms(shader, clipBase, fallbackTexture) {
+    const clipMatrix = this._getLayerMatrix(clipBase);
+    shader.setUniform('hasClip', clipBase ? true : false);
+    shader.setUniform('clipTexture', clipBase ? clipBase.framebuffer : fallbackTexture);
+    shader.setUniform('hasClipMask', clipBase && clipBase.mask ? true : false);
+    shader.setUniform('clipMaskTexture', clipBase && clipBase.mask ? clipBase.mask : fallbackTexture);
+    shader.setUniform('clipOpacity', clipBase ? clipBase.opacity : 1.0);
+    shader.setUniform('canvasSize', [this.p.width, this.p.height]);
+    shader.setUniform('hasClipTransform', clipMatrix ? true : false);
+    shader.setUniform('clipTransform', clipMatrix || IDENTITY_MATRIX);
+  }
+
+  /**
+   * Renders an adjustment layer to the current framebuffer by recoloring the background
+   * @param {AdjustmentLayer} layer - The adjustment layer
+   * @param {p5.Framebuffer} backgroundBuffer - The accumulated layers beneath it
+   * @param {Layer|null} clipBase - Base layer whose alpha limits the adjustment (clipping masks)
+   * @private
+   */
+  _renderAdjustment(layer, backgroundBuffer, clipBase = null) {
+    const shader = this._ensureAdjustmentShader();
+    if (!shader) {
+      console.warn('Adjustment shader not available, skipping layer');
+      return;
+    }
+
+    const p = this.p;
+    const { type, params1, params2 } = layer.getShaderParams();
+
+    p.push();
+    p.blendMode(p.BLEND);
+    p.shader(shader);
+
+    shader.setUniform('backgroundTexture', backgroundBuffer);
+    shader.setUniform('maskTexture', layer.mask || backgroundBuffer);
+    shader.setUniform('hasMask', layer.mask ? true : false);
+    shader.setUniform('layerOpacity', layer.opacity);
+    shader.setUniform('adjustmentType', type);
+    shader.setUniform('params1', params1);
+    shader.setUniform('params2', params2);
+    shader.setUniform('lutTexture', layer.getLut() || backgroundBuffer);
+    this._setClipUniforms(shader, clipBase, backgroundBuffer);
+
+    p.rectMode(p.CENTER);
+    p.noStroke();
+    p.fill(255);
+    p.rect(0, 0, p.width, p.height);
+
+    p.resetShader();
+    p.pop();
+  }
+
+  /**
+   * Composites all layers to the main canvas using ping-pong buffering.
+   * If no layer changed since the previous call, the cached composite is drawn
+   * again; otherwise compositing resumes from a cached copy of the layers below
+   * the lowest changed one.
+   * @param {Layer[]} layers - Root-level layers and groups to composite (groups are expanded recursively)
    * @param {Function} clearCallback - Optional callback to clear the canvas before compositing
+   * @param {Object} [options] - Render options
+   * @param {Map<number, boolean>|null} [options.solo] - Layers to show while soloing, mapped to
+   *   whether they are shown even if hidden (see LayerSystem.solo()); other layers are skipped
+   */
+  render(layers, clearCallback = null, options = {}) {
+    const p = this.p;
+
+    // Solo only applies to the canvas, not to merges and other composites
+    this._solo = options.solo || null;
+    const result = this._compositeCached(layers);
+    this._solo = null;
+
+    // Now render the final result to the main canvas
+    p.push();
+
+    // Clear the canvas if callback provided
+    if (clearCallback) {
+      clearCallback();
+    } else {
+      p.clear();
+    }
+
+    // Reset to default state
+    p.resetShader();
+    p.blendMode(p.BLEND);
+
+    // Draw the accumulated result to the main canvas
+    p.imageMode(p.CENTER);
+    p.image(this.hdr ? this._toneMap(result) : result, 0, 0);
+
+    p.pop();
+  }
+
+  /**
+   * Applies exposure and tone mapping to an HDR composite
+   * @param {p5.Framebuffer} source - The float composite
+   * @returns {p5.Framebuffer} An 8-bit buffer ready for the canvas, or the
+   *   source itself (clipped by the canvas) if the shader is unavailable
+   * @private
+   */
+  _toneMap(source) {
+    const shader = this._ensureToneMapShader();
+    if (!shader) {
+      return source;
+    }
+
+    const p = this.p;
+    if (!this.outputBuffer) {
+      this.outputBuffer = p.createFramebuffer({ ...this._getBufferOptions(), format: p.UNSIGNED_BYTE });
+    }
+
+    this.outputBuffer.begin();
+    p.clear();
+    p.push();
+    p.blendMode(p.BLEND);
+    p.shader(shader);
+    shader.setUniform('hdrTexture', source);
+    shader.setUniform('exposure', Math.pow(2, this.hdr.exposure));
+    shader.setUniform('toneMapping', Object.values(ToneMappingOperators).indexOf(this.hdr.toneMapping));
+    p.rectMode(p.CENTER);
+    p.noStroke();
+    p.fill(255);
+    p.rect(0, 0, p.width, p.height);
+    p.resetShader();
+    p.pop();
+    this.outputBuffer.end();
+
+    return this.outputBuffer;
+  }
+
+  /**
+   * Composites layers into one of the canvas-sized ping-pong buffers without
+   * touching the main canvas. The returned buffer is reused by the next
+   * composite, so copy its contents if they need to persist.
+   * @param {Layer[]} layers - Root-level layers and groups to composite
+   * @returns {p5.Framebuffer} The buffer holding the composite
    */
-  render(layers, clearCallback = null) {
+  compositeToBuffer(layers) {
     const p = this.p;
 
     // Ensure we have ping-pong buffers
     const buffers = this._ensureBuffers();
-    let currentBuffer = buffers.a;
-    let nextBuffer = buffers.b;
 
-    // Sort layers by zIndex (ascending)
-    const sortedLayers = [...layers].sort((a, b) => a.zIndex - b.zIndex);
+    // The cached result lives in the ping-pong buffers, which are overwritten
+    // here; the partial composite has a buffer of its own and stays valid
+    this._cachedKeys = null;
+    this._cachedResult = null;
 
     // Clear the first buffer
-    currentBuffer.begin();
+    buffers.a.begin();
+    p.clear();
+    buffers.a.end();
+
+    this._beginDepth(layers);
+    return this._compositeLayers(layers, buffers.a, buffers.b, 0);
+  }
+
+  /**
+   * Composites root-level layers for render(), reusing as much of the previous
+   * frame as the layer revisions allow
+   * @param {Layer[]} layers - Root-level layers and groups to composite
+   * @returns {p5.Framebuffer} The buffer holding the composite
+   * @private
+   */
+  _compositeCached(layers) {
+    const p = this.p;
+    const buffers = this._ensureBuffers();
+    const sortedLayers = [...layers].sort((a, b) => a.zIndex - b.zIndex);
+    const keys = sortedLayers.map(layer => this._getCacheKey(layer));
+
+    // Nothing changed: the previous result is still in the ping-pong buffers
+    const cleanCount = this._countCleanLayers(keys, this._cachedKeys);
+    if (this._cachedResult && cleanCount === keys.length && keys.length === this._cachedKeys.length) {
+      return this._cachedResult;
+    }
+
+    // The scene depth is not part of the partial composite, so stacks with
+    // depth-tested layers are composited from the bottom
+    const tracksDepth = this._beginDepth(sortedLayers);
+
+    // Resume from the partial composite if the layers it holds are unchanged
+    let start = 0;
+    const partialCount = this._partialKeys ? this._partialKeys.length : 0;
+    if (!tracksDepth && partialCount > 0 &&
+        this._countCleanLayers(keys, this._partialKeys) === partialCount &&
+        this._getSplitIndex(sortedLayers, partialCount) === partialCount) {
+      start = partialCount;
+    } else {
+      this._partialKeys = null;
+    }
+    const split = tracksDepth ? 0 : Math.max(start, this._getSplitIndex(sortedLayers, cleanCount));
+
+    buffers.a.begin();
     p.clear();
-    currentBuffer.end();
+    buffers.a.end();
+    if (start > 0) {
+      this._copyBuffer(this.partialBuffer, buffers.a);
+    }
+
+    // Layers between the partial composite and the lowest changed layer are
+    // unchanged, so their result becomes the new partial composite
+    let current = this._compositeLayers(sortedLayers.slice(start, split), buffers.a, buffers.b, 0);
+    if (split > start) {
+      if (!this.partialBuffer) {
+        this.partialBuffer = p.createFramebuffer(this._getBufferOptions());
+      }
+      this._copyBuffer(current, this.partialBuffer);
+      this._partialKeys = keys.slice(0, split);
+    }
+
+    const next = current === buffers.a ? buffers.b : buffers.a;
+    current = this._compositeLayers(sortedLayers.slice(split), current, next, 0);
+
+    this._cachedKeys = keys;
+    this._cachedResult = current;
+    return current;
+  }
+
+  /**
+   * Identifies the state of a layer (and of its children) for the composite cache
+   * @param {Layer} layer - The layer
+   * @returns {string|null} The key, or null if the layer has to be composited every frame
+   * @private
+   */
+  _getCacheKey(layer) {
+    if (this._isVisible(layer) && (layer.isAnimated || this._hasLiveMask(layer))) {
+      return null;
+    }
+    let key = `${layer.id}:${layer.revision}`;
+    if (this._solo) {
+      key += this._isVisible(layer) ? ':solo' : ':muted';
+    }
+    if (layer.isGroup) {
+      const childKeys = layer.children.map(child => this._getCacheKey(child));
+      if (childKeys.includes(null)) {
+        return null;
+      }
+      key += `[${childKeys.join(',')}]`;
+    }
+    return key;
+  }
+
+  /**
+   * Whether a layer's mask is a framebuffer, which can be redrawn at any time
+   * without the layer knowing (unlike an image)
+   * @private
+   */
+  _hasLiveMask(layer) {
+    return !!layer.mask && typeof layer.mask.begin === 'function';
+  }
+
+  /**
+   * Counts the leading layers whose keys match a previous composite
+   * @private
+   */
+  _countCleanLayers(keys, previousKeys) {
+    if (!previousKeys) {
+      return 0;
+    }
+    let count = 0;
+    while (count < keys.length && count < previousKeys.length &&
+      keys[count] !== null && keys[count] === previousKeys[count]) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Moves a split point in the layer stack down until it no longer separates
+   * clipped layers from their base
+   * @private
+   */
+  _getSplitIndex(sortedLayers, index) {
+    while (index > 0 && index < sortedLayers.length && sortedLayers[index].clipping) {
+      index--;
+    }
+    return index;
+  }
+
+  /**
+   * Replaces the contents of a canvas-sized buffer with another one
+   * @private
+   */
+  _copyBuffer(source, target) {
+    const p = this.p;
+    target.begin();
+    p.clear();
+    p.push();
+    p.resetShader();
+    p.blendMode(p.BLEND);
+    p.imageMode(p.CENTER);
+    p.image(source, 0, 0);
+    p.pop();
+    target.end();
+  }
+
+  /**
+   * Composites a list of sibling layers on top of the content of currentBuffer
+   * @param {Layer[]} layers - Layers to composite (sorted by zIndex here)
+   * @param {p5.Framebuffer} currentBuffer - Buffer holding the backdrop
+   * @param {p5.Framebuffer} nextBuffer - Scratch buffer of the same ping-pong pair
+   * @param {number} level - Group nesting level of these layers
+   * @returns {p5.Framebuffer} Whichever of the two buffers holds the result
+   * @private
+   */
+  _compositeLayers(layers, currentBuffer, nextBuffer, level) {
+    const p = this.p;
+
+    // Sort layers by zIndex (ascending)
+    const sortedLayers = [...layers].sort((a, b) => a.zIndex - b.zIndex);
+
+    // Nearest non-clipped layer so far, used as the base of clipping masks
+    let baseLayer = null;
 
     // Render each layer progressively, ping-ponging between buffers
     for (let i = 0; i < sortedLayers.length; i++) {
       const layer = sortedLayers[i];
+      const clipBase = layer.clipping ? baseLayer : null;
+      if (!layer.clipping) {
+        baseLayer = layer;
+      }
       
-      if (!layer.visible || layer.opacity <= 0) {
+      if (!this._isVisible(layer) || layer.opacity <= 0) {
+        continue;
+      }
+
+      // Layers scaled down to nothing have no area to composite
+      if (this._isCollapsed(layer)) {
+        continue;
+      }
+
+      // A hidden base hides every layer clipped to it
+      if (clipBase && (!this._isVisible(clipBase) || clipBase.opacity <= 0 || this._isCollapsed(clipBase))) {
         continue;
       }
 
+      let source = {};
+      if (layer.isGroup) {
+        if (this._isDirectPassThrough(layer)) {
+          // Nothing to apply to the group as a whole: keep ping-ponging in place
+          const result = this._compositeLayers(layer.children, currentBuffer, nextBuffer, level);
+          if (result !== currentBuffer) {
+            nextBuffer = currentBuffer;
+            currentBuffer = result;
+          }
+          continue;
+        }
+
+        source = this._compositeGroup(layer, currentBuffer, level);
+        if (!source) {
+          continue;
+        }
+      }
+
+      // Only layers with pixels of their own can act as a clipping base
+      if (clipBase && clipBase.framebuffer) {
+        source = { ...source, clipBase };
+      } else if (clipBase && !this._unclippedWarned.has(layer)) {
+        this._unclippedWarned.add(layer);
+        console.warn(`Layer ${layer.name} is clipped to ${clipBase.name}, which has no pixels of its own ` +
+          '(groups and adjustment layers cannot be clipping bases). It is drawn unclipped.');
+      }
+
+      // Generated content and effects render into their own buffers, so update them before nextBuffer.begin()
+      layer.prepare({ background: currentBuffer });
+      if (layer.usesFramebuffer && layer.effects.length > 0) {
+        source = {
+          ...source,
+          texture: this.effectRenderer.getTexture(layer),
+          styleTexture: this.effectRenderer.getStyleTexture(layer)
+        };
+      }
+
       // Render this layer on top of currentBuffer into nextBuffer
       nextBuffer.begin();
       p.clear();
-      this._renderLayer(layer, currentBuffer);
+      if (layer.isAdjustment) {
+        this._renderAdjustment(layer, currentBuffer, source.clipBase);
+      } else {
+        this._renderLayer(layer, currentBuffer, source);
+      }
       nextBuffer.end();
 
       // Swap buffers
       const temp = currentBuffer;
       currentBuffer = nextBuffer;
       nextBuffer = temp;
+
+      if (this._sceneDepth && this._getDepthTexture(layer)) {
+        this._writeDepth(layer);
+      }
     }
 
-    // Now render the final result to the main canvas
-    p.push();
+    return currentBuffer;
+  }
 
-    // Clear the canvas if callback provided
-    if (clearCallback) {
-      clearCallback();
-    } else {
-      p.clear();
+  /**
+   * Whether a layer takes part in the current composite, taking solo into account
+   * @private
+   */
+  _isVisible(layer) {
+    if (!this._solo) {
+      return layer.visible;
     }
+    const forced = this._solo.get(layer.id);
+    return forced === true || (forced === false && layer.visible);
+  }
 
-    // Reset to default state
-    p.resetShader();
-    p.blendMode(p.BLEND);
+  /**
+   * Gets the canvas-to-layer matrix of a transformed layer
+   * @param {Layer|null} layer - The layer
+   * @returns {number[]|null} Column-major 3x3 matrix, or null if the layer
+   *   stretches over the whole canvas (no transform, or no pixels of its own)
+   * @private
+   */
+  _getLayerMatrix(layer) {
+    const transform = layer && layer.usesFramebuffer ? layer.compositeTransform : null;
+    if (!transform) {
+      return null;
+    }
+    return createCanvasToLayerMatrix(transform, layer.width, layer.height);
+  }
 
-    // Draw the accumulated result to the main canvas
-    p.imageMode(p.CENTER);
-    p.image(currentBuffer, 0, 0);
+  /**
+   * Whether a transformed layer has been scaled down to nothing
+   * @private
+   */
+  _isCollapsed(layer) {
+    const transform = layer.usesFramebuffer ? layer.compositeTransform : null;
+    return !!transform && !createCanvasToLayerMatrix(transform, layer.width, layer.height);
+  }
 
-    p.pop();
+  /**
+   * Whether a group can be composited without an intermediate buffer
+   * @private
+   */
+  _isDirectPassThrough(group) {
+    return group.mode === GroupModes.PASS_THROUGH &&
+      group.opacity >= 1 &&
+      !group.mask &&
+      !group.clipping;
+  }
+
+  /**
+   * Composites a group's children into the group buffers for its nesting level
+   * @param {LayerGroup} group - The group to composite
+   * @param {p5.Framebuffer} backgroundBuffer - The backdrop beneath the group
+   * @param {number} level - Nesting level of the group
+   * @returns {{texture: p5.Framebuffer, blendMode: string}|null} Source to blend
+   *   the group with, or null if the group has no children
+   * @private
+   */
+  _compositeGroup(group, backgroundBuffer, level) {
+    if (group.children.length === 0) {
+      return null;
+    }
+
+    const p = this.p;
+    const buffers = this._ensureGroupBuffers(level);
+    const isPassThrough = group.mode === GroupModes.PASS_THROUGH;
+
+    buffers.a.begin();
+    p.clear();
+    if (isPassThrough) {
+      // Children blend against a copy of the backdrop, and the result is
+      // faded back over the backdrop with the group's opacity and mask
+      p.push();
+      p.resetShader();
+      p.blendMode(p.BLEND);
+      p.imageMode(p.CENTER);
+      p.image(backgroundBuffer, 0, 0);
+      p.pop();
+    }
+    buffers.a.end();
+
+    const result = this._compositeLayers(group.children, buffers.a, buffers.b, level + 1);
+
+    return {
+      texture: result,
+      blendMode: isPassThrough ? BlendModes.NORMAL : group.blendMode
+    };
   }
 
   /**
@@ -200,10 +957,20 @@ export class Compositor {
       this.bufferB.remove();
       this.bufferB = null;
     }
+    this._disposeGroupBuffers();
+    this._disposeDepthBuffers();
+    this._disposePartialBuffer();
+    this._disposeOutputBuffer();
+    this.invalidateCache();
     this._bufferDensity = null;
+    this._bufferFormat = null;
     
     // p5.js doesn't have explicit shader disposal, but we can clear the reference
     this.shader = null;
     this.shaderLoaded = false;
+    this.adjustmentShader = null;
+    this.depthShader = null;
+    this.toneMapShader = null;
+    this.effectRenderer.dispose();
   }
 }
@@ -0,0 +1,250 @@
+import { EffectTypes } from './constants.js';
+import { parseColor } from './utils/adjustments.js';
+import compositorVertSource from './shaders/compositor.vert';
+import effectsFragSource from './shaders/effects.frag';
+
+// Pass indices, matching effectPass in effects.frag
+const PASS_BLUR = 0;
+const PASS_TINT = 1;
+const PASS_DILATE = 2;
+const PASS_COLOR_OVERLAY = 3;
+const PASS_COMPOSITE = 4;
+
+/**
+ * Applies a layer's effect stack to its pixels.
+ * Results are cached per layer in layer-sized buffers and only recomputed
+ * when the layer has been drawn to or its effects changed.
+ * Layers with a fill opacity below 1 also get a styles texture: the same
+ * stack without the layer's own pixels, which the compositor mixes with the
+ * complete result to fade the pixels but not their shadows and strokes.
+ */
+export class EffectRenderer {
+  /**
+   * @param {p5} p5Instance - The p5.js instance
+   */
+  constructor(p5Instance) {
+    this.p = p5Instance;
+    this.shader = null;
+  }
+
+  /**
+   * Lazily creates the effects shader
+   * @private
+   */
+  _ensureShader() {
+    if (!this.shader) {
+      try {
+        this.shader = this.p.createShader(compositorVertSource, effectsFragSource);
+      } catch (e) {
+        console.error('Failed to create effects shader:', e);
+        this.shader = null;
+      }
+    }
+    return this.shader;
+  }
+
+  /**
+   * Gets the texture to composite for a layer: its framebuffer, or the
+   * cached result of its enabled effects
+   * @param {Layer} layer - The layer
+   * @returns {p5.Framebuffer} The texture to composite
+   */
+  getTexture(layer) {
+    const effects = layer.effects.filter(effect => effect.enabled);
+    if (effects.length === 0 || !layer.framebuffer) {
+      return layer.framebuffer;
+    }
+
+    const withStyles = layer.fillOpacity < 1;
+    const cache = layer._ensureEffectCache(withStyles);
+    if (!cache || !this._ensureShader()) {
+      return layer.framebuffer;
+    }
+    if (cache.texture && !layer._effectsDirty && (!withStyles || cache.hasStyles)) {
+      return cache.texture;
+    }
+
+    // Ping-pong between a and b for the layer content, using the
+    // under buffers for shadows, glows and strokes drawn beneath it
+    let current = layer.framebuffer;
+    let styles = null;
+    effects.forEach(effect => {
+      const next = current === cache.a ? cache.b : cache.a;
+      this._applyEffect(layer, effect, current, next, cache);
+      if (withStyles) {
+        const nextStyles = styles === cache.styleA ? cache.styleB : cache.styleA;
+        styles = this._applyEffectToStyles(layer, effect, styles, nextStyles, cache);
+      }
+      current = next;
+    });
+
+    cache.texture = current;
+    cache.styles = styles;
+    cache.hasStyles = withStyles;
+    layer._effectsDirty = false;
+    return current;
+  }
+
+  /**
+   * Gets the effects-only texture computed by the last getTexture() call
+   * @param {Layer} layer - The layer
+   * @returns {p5.Framebuffer|null} The styles texture, or null if the layer's
+   *   fill opacity is 1 or none of its effects draws beneath it
+   */
+  getStyleTexture(layer) {
+    const cache = layer._effectCache;
+    if (!cache || !cache.hasStyles || layer.fillOpacity >= 1 ||
+        !layer.effects.some(effect => effect.enabled)) {
+      return null;
+    }
+    return cache.styles;
+  }
+
+  /**
+   * Renders one effect from source into target
+   * @private
+   */
+  _applyEffect(layer, effect, source, target, cache) {
+    const params = effect.params;
+    const color = (parseColor(params.color) || [0, 0, 0]).map(c => c / 255);
+
+    switch (effect.type) {
+    case EffectTypes.BLUR:
+      this._blur(layer, source, params.radius, cache.under, target);
+      break;
+    case EffectTypes.COLOR_OVERLAY:
+      this._pass(layer, target, PASS_COLOR_OVERLAY, {
+        sourceTexture: source,
+        effectColor: color,
+        effectOpacity: params.opacity
+      });
+      break;
+    case EffectTypes.DROP_SHADOW:
+    case EffectTypes.OUTER_GLOW: {
+      const isShadow = effect.type === EffectTypes.DROP_SHADOW;
+      // Offsets are in layer pixels with y pointing down; texture v points up
+      this._pass(layer, cache.under, PASS_TINT, {
+        sourceTexture: source,
+        offset: isShadow ? [-params.offsetX / layer.width, params.offsetY / layer.height] : [0, 0],
+        effectColor: color,
+        effectOpacity: params.opacity
+      });
+      this._blur(layer, cache.under, isShadow ? params.blur : params.size, cache.scratch, cache.under);
+      this._composite(layer, source, cache.under, target);
+      break;
+    }
+    case EffectTypes.STROKE:
+      this._pass(layer, cache.under, PASS_DILATE, {
+        sourceTexture: source,
+        radius: params.size,
+        effectColor: color,
+        effectOpacity: params.opacity
+      });
+      this._composite(layer, source, cache.under, target);
+      break;
+    default:
+      console.warn(`Unknown effect type: ${effect.type}, skipping`);
+      this._pass(layer, target, PASS_COLOR_OVERLAY, { sourceTexture: source, effectOpacity: 0 });
+      break;
+    }
+  }
+
+  /**
+   * Repeats an effect on the styles-only stack. Shadows, glows and strokes
+   * reuse the under buffer that _applyEffect() just rendered, since their
+   * shape comes from the complete layer.
+   * @returns {p5.Framebuffer|null} The new styles texture, or null while
+   *   no effect has drawn beneath the layer yet
+   * @private
+   */
+  _applyEffectToStyles(layer, effect, styles, target, cache) {
+    const params = effect.params;
+
+    switch (effect.type) {
+    case EffectTypes.DROP_SHADOW:
+    case EffectTypes.OUTER_GLOW:
+    case EffectTypes.STROKE:
+      if (styles) {
+        this._composite(layer, styles, cache.under, target);
+      } else {
+        this._pass(layer, target, PASS_COLOR_OVERLAY, { sourceTexture: cache.under, effectOpacity: 0 });
+      }
+      return target;
+    case EffectTypes.BLUR:
+      if (!styles) {
+        return null;
+      }
+      this._blur(layer, styles, params.radius, cache.scratch, target);
+      return target;
+    case EffectTypes.COLOR_OVERLAY:
+      if (!styles) {
+        return null;
+      }
+      this._pass(layer, target, PASS_COLOR_OVERLAY, {
+        sourceTexture: styles,
+        effectColor: (parseColor(params.color) || [0, 0, 0]).map(c => c / 255),
+        effectOpacity: params.opacity
+      });
+      return target;
+    default:
+      return styles;
+    }
+  }
+
+  /**
+   * Separable gaussian blur from source into target through a scratch buffer
+   * @private
+   */
+  _blur(layer, source, radius, scratch, target) {
+    this._pass(layer, scratch, PASS_BLUR, { sourceTexture: source, direction: [1, 0], radius });
+    this._pass(layer, target, PASS_BLUR, { sourceTexture: scratch, direction: [0, 1], radius });
+  }
+
+  /**
+   * Composites top over base into target
+   * @private
+   */
+  _composite(layer, top, base, target) {
+    this._pass(layer, target, PASS_COMPOSITE, { sourceTexture: top, baseTexture: base });
+  }
+
+  /**
+   * Draws one full-size shader pass into a layer-sized buffer
+   * @private
+   */
+  _pass(layer, target, pass, uniforms) {
+    const p = this.p;
+    const shader = this.shader;
+
+    target.begin();
+    p.push();
+    p.clear();
+    p.blendMode(p.BLEND);
+    p.shader(shader);
+
+    shader.setUniform('effectPass', pass);
+    shader.setUniform('texelSize', [1 / layer.width, 1 / layer.height]);
+    shader.setUniform('baseTexture', uniforms.baseTexture || uniforms.sourceTexture);
+    shader.setUniform('direction', [0, 0]);
+    shader.setUniform('radius', 0);
+    shader.setUniform('offset', [0, 0]);
+    shader.setUniform('effectColor', [0, 0, 0]);
+    shader.setUniform('effectOpacity', 1);
+    Object.keys(uniforms).forEach(name => {
+      shader.setUniform(name, uniforms[name]);
+    });
+
+    p.noStroke();
+    p.rect(0, 0, layer.width, layer.height);
+    p.resetShader();
+    p.pop();
+    target.end();
+  }
+
+  /**
+   * Releases the shader (per-layer caches are owned by the layers)
+   */
+  dispose() {
+    this.shader = null;
+  }
+}
@@ -0,0 +1,192 @@
+import { Layer } from './Layer.js';
+import { FillTypes, FILL_PARAMS, getFillTypeIndex } from './constants.js';
+import { evaluateGradient, LUT_SIZE, parseColor, writeLut } from './utils/adjustments.js';
+import { applyParams, cloneParam, getDefaultParams } from './utils/params.js';
+import compositorVertSource from './shaders/compositor.vert';
+import fillFragSource from './shaders/fill.frag';
+
+/**
+ * A layer filled with a solid color, gradient or pattern.
+ * The fill is rendered into the layer's framebuffer by a shader and only
+ * regenerated when its parameters change or the layer is resized, so it
+ * behaves like any other Layer for ordering, opacity, blend modes and masks.
+ */
+export class FillLayer extends Layer {
+  /**
+   * @param {p5} p5Instance - The p5.js instance
+   * @param {string|number} id - Unique identifier for this layer
+   * @param {string} name - Human-readable name for this layer
+   * @param {Object} options - Layer configuration options
+   * @param {string} options.type - One of the FillTypes constants
+   * @param {Object} options.params - Initial fill parameters (see FILL_PARAMS)
+   */
+  constructor(p5Instance, id, name = '', options = {}) {
+    super(p5Instance, id, name || `Fill ${id}`, options);
+
+    this.fillType = options.type;
+
+    // Start from the defaults of the fill type
+    this.params = getDefaultParams(FILL_PARAMS[this.fillType]);
+
+    this._fillShader = null;
+    this._lut = null;
+    this._fillDirty = true;
+
+    if (options.params) {
+      this.setParams(options.params);
+    }
+  }
+
+  get isGenerated() {
+    return true;
+  }
+
+  /**
+   * Updates some or all of the fill parameters.
+   * Numeric parameters are clamped to their range.
+   * @param {Object} params - Parameters to change
+   * @returns {FillLayer} This layer for chaining
+   */
+  setParams(params = {}) {
+    if (this._rejectIfPropertiesLocked('set fill params')) return this;
+
+    applyParams(FILL_PARAMS[this.fillType] || {}, this.params, params, `${this.fillType} fill`);
+
+    this._fillDirty = true;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Switches to another fill type, starting from its default parameters
+   * @param {string} type - One of the FillTypes constants
+   * @param {Object} params - Parameters of the new type
+   * @returns {FillLayer} This layer for chaining
+   */
+  setFillType(type, params = {}) {
+    if (this._rejectIfPropertiesLocked('set fill type')) return this;
+    if (!Object.values(FillTypes).includes(type)) {
+      console.warn(`Unknown fill type: ${type}`);
+      return this;
+    }
+
+    this.fillType = type;
+    this.params = getDefaultParams(FILL_PARAMS[type]);
+    return this.setParams(params);
+  }
+
+  /**
+   * Regenerates the fill if its parameters changed since the last composite
+   */
+  prepare() {
+    if (!this._fillDirty || !this.framebuffer) {
+      return;
+    }
+
+    const shader = this._ensureShader();
+    if (!shader) {
+      return;
+    }
+
+    const p = this.p;
+    const params = this.params;
+    const toUnit = color => (parseColor(color) || [0, 0, 0]).map(c => c / 255);
+    const isGradient = this.fillType === FillTypes.LINEAR || this.fillType === FillTypes.RADIAL;
+
+    this.framebuffer.begin();
+    p.push();
+    p.clear();
+    p.blendMode(p.BLEND);
+    p.shader(shader);
+
+    shader.setUniform('fillType', getFillTypeIndex(this.fillType));
+    shader.setUniform('layerSize', [this.width, this.height]);
+    shader.setUniform('fillColor', toUnit(params.color));
+    shader.setUniform('backgroundColor', toUnit(params.backgroundColor));
+    shader.setUniform('angle', (params.angle || 0) * Math.PI / 180);
+    shader.setUniform('center', [params.centerX ?? 0.5, params.centerY ?? 0.5]);
+    shader.setUniform('radius', params.radius ?? 0.5);
+    shader.setUniform('patternType', Math.max(0, FILL_PARAMS[FillTypes.PATTERN].pattern.options.indexOf(params.pattern)));
+    shader.setUniform('patternSize', params.size ?? 1);
+    if (isGradient) {
+      shader.setUniform('lutTexture', this._getLut());
+    }
+
+    p.noStroke();
+    p.rect(0, 0, this.width, this.height);
+    p.resetShader();
+    p.pop();
+    this.framebuffer.end();
+
+    this.hasBeenDrawnTo = true;
+    this._invalidatePixels();
+    this._fillDirty = false;
+  }
+
+  /**
+   * Lazily creates the fill shader
+   * @private
+   */
+  _ensureShader() {
+    if (!this._fillShader) {
+      try {
+        this._fillShader = this.p.createShader(compositorVertSource, fillFragSource);
+      } catch (e) {
+        console.error(`Failed to create fill shader for layer ${this.name}:`, e);
+        this._fillShader = null;
+      }
+    }
+    return this._fillShader;
+  }
+
+  /**
+   * Builds the gradient lookup texture from the color stops
+   * @private
+   */
+  _getLut() {
+    if (!this._lut) {
+      this._lut = this.p.createImage(LUT_SIZE, 1);
+    }
+    return writeLut(this._lut, t => evaluateGradient(this.params.stops, t));
+  }
+
+  /**
+   * Resizes the layer and regenerates the fill at the new size
+   */
+  resize(width, height, density = this.density, options = {}) {
+    super.resize(width, height, density, options);
+    this._fillDirty = true;
+  }
+
+  /**
+   * Fill layers cannot be drawn to
+   */
+  begin() {
+    console.error(`Cannot begin drawing: ${this.name} is a fill layer.`);
+  }
+
+  /**
+   * Fill layers cannot be drawn to
+   */
+  end() {}
+
+  /**
+   * Disposes of this layer's resources
+   */
+  dispose() {
+    this._fillShader = null;
+    this._lut = null;
+    super.dispose();
+  }
+
+  /**
+   * Returns a plain object representation of this layer's properties
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      fillType: this.fillType,
+      params: cloneParam(this.params)
+    };
+  }
+}
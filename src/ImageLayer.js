@@ -0,0 +1,271 @@
+import { Layer } from './Layer.js';
+import { FitModes } from './constants.js';
+import { computeFitRect } from './utils/fit.js';
+
+// HTMLMediaElement.HAVE_CURRENT_DATA: a video frame is available to draw
+const HAVE_CURRENT_DATA = 2;
+
+/**
+ * A layer that shows an image, video or webcam capture.
+ * Images are copied into the layer's framebuffer when the source, fit or size
+ * changes; videos and captures are refreshed every time the layer is composited.
+ * Sources can also be loaded asynchronously, in which case the layer shows a
+ * placeholder until loading completes.
+ */
+export class ImageLayer extends Layer {
+  /**
+   * @param {p5} p5Instance - The p5.js instance
+   * @param {string|number} id - Unique identifier for this layer
+   * @param {string} name - Human-readable name for this layer
+   * @param {Object} options - Layer configuration options
+   * @param {p5.Image|p5.MediaElement|Promise|string} options.source - The content (see setSource())
+   * @param {string} options.fit - One of the FitModes constants (default: CONTAIN)
+   * @param {string|number[]} options.placeholder - Optional color shown while the source loads
+   */
+  constructor(p5Instance, id, name = '', options = {}) {
+    super(p5Instance, id, name || `Image ${id}`, options);
+
+    this.fit = Object.values(FitModes).includes(options.fit) ? options.fit : FitModes.CONTAIN;
+    if (options.fit !== undefined && this.fit !== options.fit) {
+      console.warn(`Invalid fit mode: ${options.fit}, using ${FitModes.CONTAIN}`);
+    }
+    this.placeholder = options.placeholder ?? null;
+
+    // 'empty', 'loading', 'ready' or 'error'
+    this.status = 'empty';
+    this.source = null;
+
+    // Resolves with this layer once the current source has loaded (or failed to)
+    this.loaded = Promise.resolve(this);
+
+    this._sourceToken = 0;
+    this._imageDirty = true;
+
+    if (options.source) {
+      this.setSource(options.source);
+    }
+  }
+
+  get isGenerated() {
+    return true;
+  }
+
+  /**
+   * Whether the source is a video or webcam capture whose frames change on their own
+   * @returns {boolean}
+   */
+  get isMedia() {
+    const element = this.source && this.source.elt;
+    return typeof HTMLVideoElement !== 'undefined' && element instanceof HTMLVideoElement;
+  }
+
+  /**
+   * Videos and captures are copied every frame, so they never hit the composite cache
+   * @returns {boolean}
+   */
+  get isAnimated() {
+    return this.status === 'ready' && this.isMedia;
+  }
+
+  /**
+   * Sets the content of this layer.
+   * Promises (e.g. from loadImage() without await) and URLs are loaded
+   * asynchronously; the layer shows its placeholder until they resolve.
+   * @param {p5.Image|p5.MediaElement|p5.Graphics|p5.Framebuffer|Promise|string|null} source - The content
+   * @returns {ImageLayer} This layer for chaining
+   */
+  setSource(source) {
+    if (this.locks.pixels) {
+      console.warn(`Cannot set source: pixels of layer ${this.name} are locked`);
+      return this;
+    }
+
+    // Results of earlier loads are ignored once the source changes again
+    const token = ++this._sourceToken;
+    this._imageDirty = true;
+    this._markDirty();
+
+    const isPending = typeof source === 'string' || (source && typeof source.then === 'function');
+    if (!isPending) {
+      this.source = source || null;
+      this.status = this.source ? 'ready' : 'empty';
+      this.loaded = Promise.resolve(this);
+      return this;
+    }
+
+    this.source = null;
+    this.status = 'loading';
+    const pending = typeof source === 'string' ? this.p.loadImage(source) : source;
+    this.loaded = Promise.resolve(pending).then(
+      (loadedSource) => {
+        if (token === this._sourceToken) {
+          this.source = loadedSource || null;
+          this.status = this.source ? 'ready' : 'empty';
+          this._imageDirty = true;
+          this._markDirty();
+        }
+        return this;
+      },
+      (error) => {
+        if (token === this._sourceToken) {
+          console.error(`Failed to load source for layer ${this.name}:`, error);
+          this.status = 'error';
+          this._imageDirty = true;
+          this._markDirty();
+        }
+        return this;
+      }
+    );
+    return this;
+  }
+
+  /**
+   * Sets how the source fits into the layer
+   * @param {string} fit - One of the FitModes constants
+   * @returns {ImageLayer} This layer for chaining
+   */
+  setFit(fit) {
+    if (this._rejectIfPropertiesLocked('set fit mode')) return this;
+    if (!Object.values(FitModes).includes(fit)) {
+      console.warn(`Invalid fit mode: ${fit}`);
+      return this;
+    }
+    this.fit = fit;
+    this._imageDirty = true;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Copies the source again on the next composite, e.g. after changing a p5.Image's pixels
+   * @returns {ImageLayer} This layer for chaining
+   */
+  refresh() {
+    this._imageDirty = true;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Gets the natural size of the source
+   * @private
+   */
+  _getSourceSize() {
+    if (this.isMedia) {
+      const video = this.source.elt;
+      return [video.videoWidth || this.source.width, video.videoHeight || this.source.height];
+    }
+    return [this.source.width, this.source.height];
+  }
+
+  /**
+   * Copies the source into the framebuffer if it changed. Videos and captures
+   * are copied every time a frame is available.
+   */
+  prepare() {
+    if (!this.framebuffer) {
+      return;
+    }
+
+    if (this.status === 'ready' && this.isMedia) {
+      if (this.source.elt.readyState < HAVE_CURRENT_DATA) {
+        return;
+      }
+    } else if (!this._imageDirty) {
+      return;
+    }
+
+    if (this.status === 'ready') {
+      this._drawSource();
+    } else {
+      this._drawPlaceholder();
+    }
+    this._imageDirty = false;
+  }
+
+  /**
+   * Draws the source into the framebuffer according to the fit mode. Runs while
+   * compositing, so the revision is left alone (the change that made the copy
+   * necessary already bumped it).
+   * @private
+   */
+  _drawSource() {
+    const p = this.p;
+    const [sourceWidth, sourceHeight] = this._getSourceSize();
+    const rect = computeFitRect(this.fit, sourceWidth, sourceHeight, this.width, this.height);
+
+    this.framebuffer.begin();
+    p.push();
+    p.clear();
+    p.resetShader();
+    p.blendMode(p.BLEND);
+    p.imageMode(p.CORNER);
+    // Translate to top-left corner (WEBGL origin is center)
+    p.translate(-this.width / 2, -this.height / 2);
+    p.image(this.source, rect.x, rect.y, rect.width, rect.height);
+    p.pop();
+    this.framebuffer.end();
+
+    this.hasBeenDrawnTo = true;
+    this._invalidatePixels();
+  }
+
+  /**
+   * Clears the layer, filling it with the placeholder color if there is one
+   * @private
+   */
+  _drawPlaceholder() {
+    const p = this.p;
+    this.framebuffer.begin();
+    p.push();
+    p.clear();
+    if (this.placeholder) {
+      p.background(this.placeholder);
+    }
+    p.pop();
+    this.framebuffer.end();
+
+    this._invalidatePixels();
+  }
+
+  /**
+   * Resizes the layer and copies the source again at the new size
+   */
+  resize(width, height, density = this.density, options = {}) {
+    super.resize(width, height, density, options);
+    this._imageDirty = true;
+  }
+
+  /**
+   * Image layers cannot be drawn to
+   */
+  begin() {
+    console.error(`Cannot begin drawing: ${this.name} is an image layer.`);
+  }
+
+  /**
+   * Image layers cannot be drawn to
+   */
+  end() {}
+
+  /**
+   * Disposes of this layer's resources (the source itself is left untouched)
+   */
+  dispose() {
+    this._sourceToken++;
+    this.source = null;
+    super.dispose();
+  }
+
+  /**
+   * Returns a plain object representation of this layer's properties
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      fit: this.fit,
+      status: this.status,
+      isMedia: this.isMedia
+    };
+  }
+}
@@ -1,4 +1,13 @@
-import { BlendModes, DEFAULT_LAYER_OPTIONS } from './constants.js';
+import { BlendModes, BufferFormats, ClearModes, DEFAULT_LAYER_OPTIONS, EffectTypes, EFFECT_PARAMS, ResizeModes, TextureFiltering } from './constants.js';
+import { parseColor } from './utils/adjustments.js';
+import { computeAlphaBounds, padBounds } from './utils/alphaBounds.js';
+import { computeAnchorRect, resolveResizeOptions } from './utils/fit.js';
+import { resolveBufferFormat, toP5Format } from './utils/formats.js';
+import { createIntegerScaleTransform, createTransform, layerToCanvas } from './utils/transform.js';
+import { applyParams, cloneParam, getDefaultParams } from './utils/params.js';
+import compositorVertSource from './shaders/compositor.vert';
+import alphaLockFragSource from './shaders/alphaLock.frag';
+import fadeFragSource from './shaders/fade.frag';
 
 /**
  * Represents a single layer backed by a p5.Framebuffer
@@ -18,9 +27,17 @@ export class Layer {
     // Merge with defaults
     const opts = { ...DEFAULT_LAYER_OPTIONS, ...options };
 
+    // Label shown in the UI; unlike the name it does not have to be unique
+    this.displayName = opts.displayName || this.name;
+
+    // Free-form labels such as 'ui' or 'fx' (see LayerSystem.findLayers())
+    this.tags = [...new Set((opts.tags || []).map(String))];
+
     this.visible = opts.visible;
     this.opacity = this._clampOpacity(opts.opacity);
+    this.fillOpacity = this._clampOpacity(opts.fillOpacity);
     this.blendMode = opts.blendMode;
+    this.clipping = !!opts.clipping;
     this.zIndex = opts.zIndex !== undefined ? opts.zIndex : id;
 
     // Framebuffer options
@@ -29,6 +46,15 @@ export class Layer {
     this.density = opts.density ?? this.p.pixelDensity();
     this.depth = opts.depth;
     this.antialias = opts.antialias;
+    this.filtering = Object.values(TextureFiltering).includes(opts.filtering) ? opts.filtering : TextureFiltering.LINEAR;
+    if (this.filtering !== opts.filtering) {
+      console.warn(`Invalid filtering: ${opts.filtering}, using ${TextureFiltering.LINEAR}`);
+    }
+    this.integerScale = !!opts.integerScale;
+    if (!Object.values(BufferFormats).includes(opts.format)) {
+      console.warn(`Invalid format: ${opts.format}, using ${BufferFormats.UNSIGNED_BYTE}`);
+    }
+    this.format = this.usesFramebuffer ? resolveBufferFormat(this.p, opts.format) : BufferFormats.UNSIGNED_BYTE;
 
     // Flag layers that opted into custom sizing to protect them from auto-resize
     this.customSize = opts.width != null ||
@@ -38,17 +64,106 @@ export class Layer {
     // Mask reference (can be p5.Framebuffer or p5.Image)
     this.mask = null;
 
+    // Composite-time placement on the canvas (null = stretch over the whole canvas)
+    this.transform = null;
+
+    // Parent LayerGroup (null when the layer sits at the root of the stack)
+    this.group = null;
+
     // Track if layer has been drawn to at least once
     this.hasBeenDrawnTo = false;
 
+    // Incremented by every change that affects the composite (see markDirty())
+    this.revision = 0;
+
+    // Edit protection (see lock())
+    this.locks = { pixels: false, alpha: false, properties: false };
+
+    // Automatic clearing on the first begin() of each frame (see setClearMode())
+    this.clearMode = ClearModes.MANUAL;
+    this.fadeAmount = DEFAULT_LAYER_OPTIONS.fadeAmount;
+    this.fadeColor = null;
+    this._lastClearFrame = null;
+    this.setClearMode(opts.clearMode, { fadeAmount: opts.fadeAmount, fadeColor: opts.fadeColor });
+
+    // Occlusion by the depth of the layers below (see setDepthTest())
+    this.depthTest = false;
+    if (opts.depthTest) {
+      this.setDepthTest(true);
+    }
+
+    // Layer effects, applied in order before compositing (see addEffect())
+    this.effects = [];
+    this._effectIdCounter = 0;
+    this._effectCache = null;
+    this._effectsDirty = true;
+
+    // CPU copy of the framebuffer, filled by loadPixels() and kept until the pixels change
+    this.pixels = null;
+    this._pixelsLoaded = false;
+
+    // Lazily created resources used to preserve transparency on alpha-locked layers
+    this._alphaLock = null;
+    this._alphaSnapshotTaken = false;
+
+    // Lazily created shader and buffer of the FADE clear mode
+    this._fade = null;
+
+    // Whether begin() started drawing, so that end() only finishes what was begun
+    this._isDrawing = false;
+
     // Create the framebuffer
-    this.framebuffer = this._createFramebuffer();
+    this.framebuffer = null;
+    if (this.usesFramebuffer) {
+      this.framebuffer = this._createFramebuffer();
 
-    if (!this.framebuffer) {
-      throw new Error(`Failed to create framebuffer for layer ${this.name}`);
+      if (!this.framebuffer) {
+        throw new Error(`Failed to create framebuffer for layer ${this.name}`);
+      }
     }
   }
 
+  /**
+   * Whether this layer is a LayerGroup
+   * @returns {boolean}
+   */
+  get isGroup() {
+    return false;
+  }
+
+  /**
+   * Whether this layer is an AdjustmentLayer
+   * @returns {boolean}
+   */
+  get isAdjustment() {
+    return false;
+  }
+
+  /**
+   * Whether this layer's pixels are generated (e.g. fill layers) rather than drawn with begin()/end()
+   * @returns {boolean}
+   */
+  get isGenerated() {
+    return false;
+  }
+
+  /**
+   * Whether the content changes by itself every frame (e.g. videos and shaders),
+   * so composites that include this layer are never reused
+   * @returns {boolean}
+   */
+  get isAnimated() {
+    return false;
+  }
+
+  /**
+   * Whether this layer type is backed by its own framebuffer
+   * @returns {boolean}
+   */
+  get usesFramebuffer() {
+    return true;
+  }
+
   /**
    * Creates the underlying p5.Framebuffer
    * @private
@@ -68,6 +183,12 @@ export class Layer {
       if (this.antialias !== undefined) {
         options.antialias = this.antialias;
       }
+      if (this.filtering === TextureFiltering.NEAREST) {
+        options.textureFiltering = this.p.NEAREST;
+      }
+      if (this.format !== BufferFormats.UNSIGNED_BYTE) {
+        options.format = toP5Format(this.p, this.format);
+      }
 
       return this.p.createFramebuffer(options);
     } catch (e) {
@@ -76,6 +197,52 @@ export class Layer {
     }
   }
 
+  /**
+   * Warns and returns true if this layer's properties are locked
+   * @private
+   */
+  _rejectIfPropertiesLocked(action) {
+    if (this.locks.properties) {
+      console.warn(`Cannot ${action}: properties of layer ${this.name} are locked`);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Marks this layer as changed so the next composite redraws it. Setters and
+   * end() already do this; call it after changing what the layer shows in
+   * other ways, e.g. after assigning a property directly or editing an image mask.
+   * @returns {Layer} This layer for chaining
+   */
+  markDirty() {
+    this._markDirty(true);
+    return this;
+  }
+
+  /**
+   * Bumps the revision compared by the compositor's cache
+   * @param {boolean} [pixelsChanged=false] - Whether the pixels or effects changed,
+   *   which also invalidates the cached effect output
+   * @private
+   */
+  _markDirty(pixelsChanged = false) {
+    this.revision++;
+    if (pixelsChanged) {
+      this._invalidatePixels();
+    }
+  }
+
+  /**
+   * Discards the cached effect output and pixel readback after the pixels
+   * changed, without bumping the revision (used while compositing)
+   * @private
+   */
+  _invalidatePixels() {
+    this._effectsDirty = true;
+    this._pixelsLoaded = false;
+  }
+
   /**
    * Clamps opacity value to valid range [0, 1]
    * @private
@@ -90,6 +257,7 @@ export class Layer {
    */
   show() {
     this.visible = true;
+    this._markDirty();
     return this;
   }
 
@@ -99,6 +267,7 @@ export class Layer {
    */
   hide() {
     this.visible = false;
+    this._markDirty();
     return this;
   }
 
@@ -108,7 +277,26 @@ export class Layer {
    * @returns {Layer} This layer for chaining
    */
   setOpacity(opacity) {
+    if (this._rejectIfPropertiesLocked('set opacity')) return this;
     this.opacity = this._clampOpacity(opacity);
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Sets the fill opacity of this layer. Unlike setOpacity(), it only fades the
+   * layer's own pixels: drop shadows, glows and strokes keep their opacity.
+   * @param {number} fillOpacity - Fill opacity between 0 and 1
+   * @returns {Layer} This layer for chaining
+   */
+  setFillOpacity(fillOpacity) {
+    if (this._rejectIfPropertiesLocked('set fill opacity')) return this;
+    if (!this.usesFramebuffer) {
+      console.warn(`Cannot set fill opacity: ${this.name} has no pixels of its own`);
+      return this;
+    }
+    this.fillOpacity = this._clampOpacity(fillOpacity);
+    this._markDirty();
     return this;
   }
 
@@ -118,36 +306,595 @@ export class Layer {
    * @returns {Layer} This layer for chaining
    */
   setBlendMode(mode) {
+    if (this._rejectIfPropertiesLocked('set blend mode')) return this;
     if (!Object.values(BlendModes).includes(mode)) {
       console.warn(`Invalid blend mode: ${mode}, using NORMAL`);
       this.blendMode = BlendModes.NORMAL;
     } else {
       this.blendMode = mode;
     }
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Sets the label shown for this layer in the UI (does not affect name lookups)
+   * @param {string} displayName - The new label
+   * @returns {Layer} This layer for chaining
+   */
+  setDisplayName(displayName) {
+    this.displayName = displayName ? String(displayName) : this.name;
+    return this;
+  }
+
+  /**
+   * Adds a tag to this layer
+   * @param {string} tag - The tag
+   * @returns {Layer} This layer for chaining
+   */
+  addTag(tag) {
+    if (!this.hasTag(tag)) {
+      this.tags.push(String(tag));
+    }
     return this;
   }
 
+  /**
+   * Removes a tag from this layer
+   * @param {string} tag - The tag
+   * @returns {Layer} This layer for chaining
+   */
+  removeTag(tag) {
+    this.tags = this.tags.filter(existing => existing !== String(tag));
+    return this;
+  }
+
+  /**
+   * Checks whether this layer has a tag
+   * @param {string} tag - The tag
+   * @returns {boolean}
+   */
+  hasTag(tag) {
+    return this.tags.includes(String(tag));
+  }
+
   /**
    * Sets the z-index (layer order) for this layer
    * @param {number} zIndex - The z-index value (higher = on top)
    * @returns {Layer} This layer for chaining
    */
   setZIndex(zIndex) {
+    if (this._rejectIfPropertiesLocked('set z-index')) return this;
     this.zIndex = zIndex;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Returns the layer transform, creating the identity transform on first use
+   * @private
+   */
+  _ensureTransform() {
+    if (!this.transform) {
+      this.transform = createTransform();
+    }
+    return this.transform;
+  }
+
+  /**
+   * Places the layer's anchor point at a canvas position when compositing
+   * @param {number} x - X position in canvas pixels (from the left edge)
+   * @param {number} y - Y position in canvas pixels (from the top edge)
+   * @returns {Layer} This layer for chaining
+   */
+  setPosition(x, y) {
+    if (this._rejectIfPropertiesLocked('set position')) return this;
+    const transform = this._ensureTransform();
+    transform.x = x;
+    transform.y = y;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Scales the layer around its anchor point when compositing
+   * @param {number} scaleX - Horizontal scale factor
+   * @param {number} [scaleY=scaleX] - Vertical scale factor
+   * @returns {Layer} This layer for chaining
+   */
+  setScale(scaleX, scaleY = scaleX) {
+    if (this._rejectIfPropertiesLocked('set scale')) return this;
+    const transform = this._ensureTransform();
+    transform.scaleX = scaleX;
+    transform.scaleY = scaleY;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Rotates the layer around its anchor point when compositing
+   * @param {number} angle - Rotation in radians (clockwise)
+   * @returns {Layer} This layer for chaining
+   */
+  setRotation(angle) {
+    if (this._rejectIfPropertiesLocked('set rotation')) return this;
+    this._ensureTransform().rotation = angle;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Sets the pivot used for positioning, scaling and rotating the layer
+   * @param {number} anchorX - Horizontal anchor, normalized to the layer width (0 = left, 1 = right)
+   * @param {number} anchorY - Vertical anchor, normalized to the layer height (0 = top, 1 = bottom)
+   * @returns {Layer} This layer for chaining
+   */
+  setAnchor(anchorX, anchorY) {
+    if (this._rejectIfPropertiesLocked('set anchor')) return this;
+    const transform = this._ensureTransform();
+    transform.anchorX = anchorX;
+    transform.anchorY = anchorY;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Removes the layer transform so the layer stretches over the whole canvas again
+   * @returns {Layer} This layer for chaining
+   */
+  resetTransform() {
+    if (this._rejectIfPropertiesLocked('reset transform')) return this;
+    this.transform = null;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Maps a point from layer pixels to canvas pixels, taking the transform into account
+   * @param {number} x - X position inside the layer
+   * @param {number} y - Y position inside the layer
+   * @returns {{x:number,y:number}} Position on the canvas
+   */
+  layerToCanvas(x, y) {
+    const transform = this.compositeTransform;
+    if (!transform) {
+      // Without a transform the layer is stretched over the whole canvas
+      return {
+        x: x * this.p.width / this.width,
+        y: y * this.p.height / this.height
+      };
+    }
+    return layerToCanvas(transform, this.width, this.height, x, y);
+  }
+
+  /**
+   * The placement used when compositing: the layer's transform, adjusted for integer scaling
+   * @returns {Object|null} The transform, or null if the layer is stretched over the whole canvas
+   */
+  get compositeTransform() {
+    if (!this.integerScale || !this.usesFramebuffer) {
+      return this.transform;
+    }
+    const p = this.p;
+    return createIntegerScaleTransform(this.transform,
+      { width: this.width, height: this.height, density: this.density },
+      { width: p.width, height: p.height, density: p.pixelDensity() });
+  }
+
+  /**
+   * Sets how the layer's pixels are sampled when it is composited at another
+   * size. The framebuffer is recreated with its content kept.
+   * @param {string} filtering - One of the TextureFiltering constants
+   * @returns {Layer} This layer for chaining
+   */
+  setFiltering(filtering) {
+    if (this._rejectIfPropertiesLocked('set filtering')) return this;
+    if (!Object.values(TextureFiltering).includes(filtering)) {
+      console.warn(`Invalid filtering: ${filtering}`);
+      return this;
+    }
+    if (filtering === this.filtering) {
+      return this;
+    }
+    this.filtering = filtering;
+    if (this.usesFramebuffer) {
+      this.resize(this.width, this.height, this.density, { mode: ResizeModes.SCALE });
+    }
+    return this;
+  }
+
+  /**
+   * Composites the layer at a whole multiple of its size, so that each of its
+   * pixels covers the same number of canvas pixels. Layers without a transform
+   * are scaled up as far as they fit and centered instead of stretched;
+   * transformed layers have their scale rounded. Use with NEAREST filtering for
+   * crisp pixel art.
+   * @param {boolean} enabled - Whether to use integer scaling
+   * @returns {Layer} This layer for chaining
+   */
+  setIntegerScale(enabled = true) {
+    if (this._rejectIfPropertiesLocked('set integer scale')) return this;
+    this.integerScale = !!enabled;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Turns this layer into a clipping mask layer: it is only visible where the
+   * nearest non-clipped layer beneath it has content
+   * @param {boolean} enabled - Whether to clip to the layer below
+   * @returns {Layer} This layer for chaining
+   */
+  setClipping(enabled = true) {
+    if (this._rejectIfPropertiesLocked('change clipping')) return this;
+    this.clipping = !!enabled;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Hides the parts of this layer that are behind 3D content on the layers
+   * beneath it. Both layers need a depth buffer (the depth option) and must be
+   * drawn with the same camera, so that their depth values can be compared.
+   * Pixels without depth, such as the blur of a glow effect, are never hidden.
+   * @param {boolean} enabled - Whether to test against the depth of the layers below
+   * @returns {Layer} This layer for chaining
+   */
+  setDepthTest(enabled = true) {
+    if (this._rejectIfPropertiesLocked('change depth test')) return this;
+    if (enabled && !this.depth) {
+      console.warn(`Cannot enable depth test: layer ${this.name} has no depth buffer (create it with depth: true)`);
+      return this;
+    }
+    this.depthTest = !!enabled;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Sets how the previous content is cleared, applied the first time the layer
+   * is begun in each frame
+   * @param {string} mode - One of the ClearModes constants
+   * @param {Object} options - Fade options
+   * @param {number} options.fadeAmount - How much of the previous content fades per frame (0-1)
+   * @param {string|number[]|null} options.fadeColor - Color to fade toward, or null for transparent
+   * @returns {Layer} This layer for chaining
+   */
+  setClearMode(mode, options = {}) {
+    if (this._rejectIfPropertiesLocked('set clear mode')) return this;
+    if (!Object.values(ClearModes).includes(mode)) {
+      console.warn(`Invalid clear mode: ${mode}, using MANUAL`);
+      mode = ClearModes.MANUAL;
+    }
+    this.clearMode = mode;
+    if (mode !== ClearModes.FADE) {
+      this._disposeFade();
+    }
+
+    if (Number.isFinite(options.fadeAmount)) {
+      this.fadeAmount = Math.max(0, Math.min(1, options.fadeAmount));
+    }
+    if (options.fadeColor === null || parseColor(options.fadeColor)) {
+      this.fadeColor = options.fadeColor;
+    } else if (options.fadeColor !== undefined) {
+      console.warn(`Invalid fade color: ${options.fadeColor}`);
+    }
+    return this;
+  }
+
+  /**
+   * Clears or fades the previous content if this is the first begin() of the frame.
+   * Must be called before the framebuffer is bound, as fading reads from it.
+   * @private
+   */
+  _applyClearMode() {
+    const frame = this.p.frameCount;
+    if (this.clearMode === ClearModes.MANUAL || frame === this._lastClearFrame) {
+      return;
+    }
+    this._lastClearFrame = frame;
+
+    if (this.clearMode === ClearModes.EVERY_FRAME) {
+      this.framebuffer.begin();
+      this.p.clear();
+      this.framebuffer.end();
+      return;
+    }
+
+    const fade = this._ensureFade();
+    if (!fade) {
+      return;
+    }
+
+    // Fade into the scratch buffer, then copy the result back unchanged
+    const fadeColor = this.fadeColor ? [...parseColor(this.fadeColor).map(c => c / 255), 1] : [0, 0, 0, 0];
+    const minStep = this.format === BufferFormats.UNSIGNED_BYTE ? 1 / 255 : 0;
+    this._drawPass(fade.scratch, fade.shader,
+      { layerTexture: this.framebuffer, fadeColor, fadeAmount: this.fadeAmount, minStep });
+    this._drawPass(this.framebuffer, fade.shader,
+      { layerTexture: fade.scratch, fadeColor, fadeAmount: 0, minStep });
+  }
+
+  /**
+   * Lazily creates the shader and buffer used by the FADE clear mode
+   * @private
+   */
+  _ensureFade() {
+    if (this._fade) {
+      return this._fade;
+    }
+
+    try {
+      this._fade = {
+        shader: this.p.createShader(compositorVertSource, fadeFragSource),
+        scratch: this._createFramebuffer()
+      };
+    } catch (e) {
+      console.error(`Failed to create fade shader for layer ${this.name}:`, e);
+      return null;
+    }
+
+    if (!this._fade.scratch) {
+      console.error(`Fading unavailable for layer ${this.name}: previous content is kept`);
+      this._disposeFade();
+    }
+    return this._fade;
+  }
+
+  /**
+   * Frees the FADE clear mode buffer
+   * @private
+   */
+  _disposeFade() {
+    if (!this._fade) {
+      return;
+    }
+    if (this._fade.scratch) {
+      this._fade.scratch.remove();
+    }
+    this._fade = null;
+  }
+
+  /**
+   * Adds an effect to the end of this layer's effect stack
+   * @param {string} type - One of the EffectTypes constants
+   * @param {Object} params - Effect parameters (see EFFECT_PARAMS for each type)
+   * @returns {{id:number,type:string,enabled:boolean,params:Object}|null} The effect, or null if it could not be added
+   */
+  addEffect(type, params = {}) {
+    if (this._rejectIfPropertiesLocked('add effect')) return null;
+    if (!this.usesFramebuffer) {
+      console.warn(`Cannot add effect to ${this.name}: effects need a layer with its own pixels`);
+      return null;
+    }
+    if (!Object.values(EffectTypes).includes(type)) {
+      console.warn(`Unknown effect type: ${type}`);
+      return null;
+    }
+
+    const spec = EFFECT_PARAMS[type];
+    const effect = {
+      id: this._effectIdCounter++,
+      type,
+      enabled: true,
+      params: applyParams(spec, getDefaultParams(spec), params, `${type} effect`)
+    };
+    this.effects.push(effect);
+    this._markDirty(true);
+    return effect;
+  }
+
+  /**
+   * Gets an effect by ID
+   * @param {number} effectId - The effect ID returned by addEffect()
+   * @returns {Object|null} The effect, or null if not found
+   */
+  getEffect(effectId) {
+    return this.effects.find(effect => effect.id === effectId) || null;
+  }
+
+  /**
+   * Looks up an effect for a modifying call, warning if it does not exist
+   * @private
+   */
+  _getEffectForEdit(effectId, action) {
+    if (this._rejectIfPropertiesLocked(action)) return null;
+    const effect = this.getEffect(effectId);
+    if (!effect) {
+      console.warn(`Effect ${effectId} not found on layer ${this.name}`);
+    }
+    return effect;
+  }
+
+  /**
+   * Removes an effect from this layer
+   * @param {number} effectId - The effect ID
+   * @returns {Layer} This layer for chaining
+   */
+  removeEffect(effectId) {
+    const effect = this._getEffectForEdit(effectId, 'remove effect');
+    if (effect) {
+      this.effects.splice(this.effects.indexOf(effect), 1);
+      this._markDirty(true);
+      if (this.effects.length === 0) {
+        this._disposeEffectCache();
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Removes all effects from this layer
+   * @returns {Layer} This layer for chaining
+   */
+  clearEffects() {
+    if (this._rejectIfPropertiesLocked('clear effects')) return this;
+    this.effects = [];
+    this._disposeEffectCache();
+    return this;
+  }
+
+  /**
+   * Turns an effect on or off without removing it
+   * @param {number} effectId - The effect ID
+   * @param {boolean} enabled - Whether the effect is applied
+   * @returns {Layer} This layer for chaining
+   */
+  setEffectEnabled(effectId, enabled = true) {
+    const effect = this._getEffectForEdit(effectId, 'toggle effect');
+    if (effect) {
+      effect.enabled = !!enabled;
+      this._markDirty(true);
+    }
+    return this;
+  }
+
+  /**
+   * Updates some or all parameters of an effect
+   * @param {number} effectId - The effect ID
+   * @param {Object} params - Parameters to change
+   * @returns {Layer} This layer for chaining
+   */
+  setEffectParams(effectId, params = {}) {
+    const effect = this._getEffectForEdit(effectId, 'set effect params');
+    if (effect) {
+      applyParams(EFFECT_PARAMS[effect.type], effect.params, params, `${effect.type} effect`);
+      this._markDirty(true);
+    }
+    return this;
+  }
+
+  /**
+   * Moves an effect to a new position in the stack (0 = applied first)
+   * @param {number} effectId - The effect ID
+   * @param {number} index - The new position
+   * @returns {Layer} This layer for chaining
+   */
+  moveEffect(effectId, index) {
+    const effect = this._getEffectForEdit(effectId, 'move effect');
+    if (effect) {
+      this.effects.splice(this.effects.indexOf(effect), 1);
+      const target = Math.max(0, Math.min(this.effects.length, index));
+      this.effects.splice(target, 0, effect);
+      this._markDirty(true);
+    }
     return this;
   }
 
+  /**
+   * Lazily creates the layer-sized buffers that hold the effect results
+   * @param {boolean} [withStyles=false] - Also create the buffers for the effects-only result
+   * @private
+   */
+  _ensureEffectCache(withStyles = false) {
+    if (!this._effectCache) {
+      this._effectCache = {
+        a: this._createFramebuffer(),
+        b: this._createFramebuffer(),
+        under: this._createFramebuffer(),
+        scratch: this._createFramebuffer(),
+        styleA: null,
+        styleB: null,
+        texture: null,
+        styles: null,
+        hasStyles: false
+      };
+    }
+
+    // The effects without the layer's pixels, only needed for fill opacity
+    const cache = this._effectCache;
+    if (withStyles && !cache.styleA) {
+      cache.styleA = this._createFramebuffer();
+      cache.styleB = this._createFramebuffer();
+    }
+
+    if (!cache.a || !cache.b || !cache.under || !cache.scratch ||
+        (withStyles && (!cache.styleA || !cache.styleB))) {
+      console.error(`Effects unavailable for layer ${this.name}: could not create effect buffers`);
+      this._disposeEffectCache();
+    }
+    return this._effectCache;
+  }
+
+  /**
+   * Frees the effect buffers
+   * @private
+   */
+  _disposeEffectCache() {
+    if (this._effectCache) {
+      ['a', 'b', 'under', 'scratch', 'styleA', 'styleB'].forEach(key => {
+        if (this._effectCache[key]) {
+          this._effectCache[key].remove();
+        }
+      });
+      this._effectCache = null;
+    }
+    this._markDirty(true);
+  }
+
+  /**
+   * Protects this layer from edits. Only the given locks are changed.
+   * - pixels: drawing into the layer is refused
+   * - alpha: drawing may change colors but never the layer's transparency
+   * - properties: opacity, blend mode, z-index, clipping, mask and transform setters are ignored
+   * @param {Object} locks - Locks to set (default: pixels and properties)
+   * @param {boolean} locks.pixels - Lock the layer's pixels
+   * @param {boolean} locks.alpha - Lock the layer's transparency
+   * @param {boolean} locks.properties - Lock the layer's properties
+   * @returns {Layer} This layer for chaining
+   */
+  lock(locks = { pixels: true, properties: true }) {
+    Object.keys(this.locks).forEach(key => {
+      if (locks[key] !== undefined) {
+        this.locks[key] = !!locks[key];
+      }
+    });
+    if (!this.locks.alpha) {
+      this._disposeAlphaLock();
+    }
+    return this;
+  }
+
+  /**
+   * Removes locks from this layer
+   * @param {Object} locks - Locks to remove, e.g. { alpha: true } (default: all)
+   * @returns {Layer} This layer for chaining
+   */
+  unlock(locks = { pixels: true, alpha: true, properties: true }) {
+    const released = {};
+    Object.keys(this.locks).forEach(key => {
+      if (locks[key]) {
+        released[key] = false;
+      }
+    });
+    return this.lock(released);
+  }
+
+  /**
+   * Checks whether this layer is locked
+   * @param {string} kind - Optional lock to check ('pixels', 'alpha' or 'properties'); any lock if omitted
+   * @returns {boolean}
+   */
+  isLocked(kind) {
+    if (kind === undefined) {
+      return Object.values(this.locks).some(Boolean);
+    }
+    return !!this.locks[kind];
+  }
+
   /**
    * Attaches a mask to this layer
    * @param {p5.Framebuffer|p5.Image} maskSource - The mask to apply
    * @returns {Layer} This layer for chaining
    */
   setMask(maskSource) {
+    if (this._rejectIfPropertiesLocked('set mask')) return this;
     if (!maskSource) {
       console.warn('Invalid mask source provided');
       return this;
     }
     this.mask = maskSource;
+    this._markDirty();
     return this;
   }
 
@@ -156,7 +903,9 @@ export class Layer {
    * @returns {Layer} This layer for chaining
    */
   clearMask() {
+    if (this._rejectIfPropertiesLocked('clear mask')) return this;
     this.mask = null;
+    this._markDirty();
     return this;
   }
 
@@ -164,8 +913,16 @@ export class Layer {
    * Resizes the layer's framebuffer
    * @param {number} width - New width
    * @param {number} height - New height
+   * @param {number} [density] - New pixel density (default: unchanged)
+   * @param {Object} [options] - What happens to the content
+   * @param {string} [options.mode] - One of the ResizeModes constants (default: DISCARD)
+   * @param {string} [options.anchor] - One of the ResizeAnchors constants, for ANCHOR mode (default: CENTER)
    */
-  resize(width, height, density = this.density) {
+  resize(width, height, density = this.density, options = {}) {
+    const { mode, anchor } = resolveResizeOptions(options);
+    const previousWidth = this.width;
+    const previousHeight = this.height;
+
     this.width = width;
     this.height = height;
     this.density = density;
@@ -175,16 +932,327 @@ export class Layer {
       height === this.p.height &&
       density === this.p.pixelDensity();
     this.customSize = !matchesCanvas;
+    this._markDirty(true);
 
-    // Dispose old framebuffer
-    if (this.framebuffer) {
-      this.framebuffer.remove();
+    if (!this.usesFramebuffer) {
+      return;
     }
 
+    // Alpha lock, fade and effect buffers are recreated at the new size when needed
+    this._disposeAlphaLock();
+    this._disposeFade();
+    this._disposeEffectCache();
+
+    // Generated content is regenerated at the new size, so only drawn content is kept
+    const previous = this.framebuffer;
+    const keepContent = previous && mode !== ResizeModes.DISCARD && this.hasBeenDrawnTo && !this.isGenerated;
+
     // Create new framebuffer with updated size
     this.framebuffer = this._createFramebuffer();
+    this.pixels = null;
+
+    if (keepContent) {
+      const rect = mode === ResizeModes.SCALE
+        ? { x: 0, y: 0, width, height }
+        : computeAnchorRect(anchor, previousWidth, previousHeight, width, height);
+      this._copyContentFrom(previous, rect.x, rect.y, rect.width, rect.height);
+    }
+
+    // Dispose old framebuffer
+    if (previous) {
+      previous.remove();
+    }
   }
 
+  /**
+   * Replaces this layer's pixels with the contents of an image or framebuffer (GPU copy)
+   * @param {p5.Framebuffer|p5.Image} source - The content to copy
+   * @param {number} [x=0] - X position in layer pixels
+   * @param {number} [y=0] - Y position in layer pixels
+   * @param {number} [width=this.width] - Drawn width in layer pixels
+   * @param {number} [height=this.height] - Drawn height in layer pixels
+   * @private
+   */
+  _copyContentFrom(source, x = 0, y = 0, width = this.width, height = this.height) {
+    if (!this.framebuffer || !source) {
+      return;
+    }
+
+    const p = this.p;
+    this.framebuffer.begin();
+    p.push();
+    p.clear();
+    p.resetShader();
+    p.blendMode(p.BLEND);
+    p.imageMode(p.CORNER);
+    // Translate to top-left corner (WEBGL origin is center)
+    p.translate(-this.width / 2, -this.height / 2);
+    p.image(source, x, y, width, height);
+    p.pop();
+    this.framebuffer.end();
+
+    this.hasBeenDrawnTo = true;
+    this._markDirty(true);
+  }
+
+  /**
+   * Whether pixels holds the current content of the layer
+   * @returns {boolean}
+   */
+  get pixelsLoaded() {
+    return this._pixelsLoaded;
+  }
+
+  /**
+   * Reads the layer's pixels from the GPU into pixels, an RGBA array of
+   * (width * density) x (height * density) pixels starting at the top-left
+   * corner. The readback is reused until the layer is drawn to again, so
+   * calling this every frame only costs a GPU read when the content changed.
+   * Effects are not included.
+   * @returns {Layer} This layer for chaining
+   */
+  loadPixels() {
+    if (!this.framebuffer) {
+      console.warn(`Cannot load pixels: ${this.name} has no pixels of its own`);
+      return this;
+    }
+    if (!this._pixelsLoaded) {
+      this.framebuffer.loadPixels();
+      this.pixels = this.framebuffer.pixels;
+      this._pixelsLoaded = true;
+    }
+    return this;
+  }
+
+  /**
+   * Gets the color of one pixel, loading the pixels if needed
+   * @param {number} x - X position in layer pixels (from the left edge)
+   * @param {number} y - Y position in layer pixels (from the top edge)
+   * @returns {number[]|null} [r, g, b, a] from 0 to 255 ([0, 0, 0, 0] outside the layer),
+   *   or null if the layer has no pixels of its own. Float layers return floats where
+   *   1.0 is full intensity, with HDR values above it.
+   */
+  getPixel(x, y) {
+    this.loadPixels();
+    if (!this._pixelsLoaded) {
+      return null;
+    }
+
+    const d = this.density;
+    const px = Math.floor(x * d);
+    const py = Math.floor(y * d);
+    const rowWidth = Math.round(this.width * d);
+    if (px < 0 || py < 0 || px >= rowWidth || py >= Math.round(this.height * d)) {
+      return [0, 0, 0, 0];
+    }
+    const index = (py * rowWidth + px) * 4;
+    return Array.from(this.pixels.subarray(index, index + 4));
+  }
+
+  /**
+   * Copies a rectangle of the layer into a new image, loading the pixels if needed
+   * @param {number} x - X position in layer pixels
+   * @param {number} y - Y position in layer pixels
+   * @param {number} width - Width in layer pixels
+   * @param {number} height - Height in layer pixels
+   * @returns {p5.Image|null} An image of (width * density) x (height * density) pixels
+   *   (transparent outside the layer), or null if the layer has no pixels of its own
+   */
+  getRegion(x, y, width, height) {
+    this.loadPixels();
+    if (!this._pixelsLoaded) {
+      return null;
+    }
+
+    const d = this.density;
+    const sourceWidth = Math.round(this.width * d);
+    const sourceHeight = Math.round(this.height * d);
+    const left = Math.floor(x * d);
+    const top = Math.floor(y * d);
+    const regionWidth = Math.max(1, Math.round(width * d));
+    const regionHeight = Math.max(1, Math.round(height * d));
+
+    // Float pixels are converted to 8 bits, clipping HDR values
+    const scale = this.format === BufferFormats.UNSIGNED_BYTE ? 1 : 255;
+
+    const image = this.p.createImage(regionWidth, regionHeight);
+    image.loadPixels();
+    // Copy the rows of the part that overlaps the layer; the rest stays transparent
+    const startX = Math.max(0, left);
+    const endX = Math.min(sourceWidth, left + regionWidth);
+    const endY = Math.min(sourceHeight, top + regionHeight);
+    if (endX > startX) {
+      for (let row = Math.max(0, top); row < endY; row++) {
+        const from = (row * sourceWidth + startX) * 4;
+        const to = ((row - top) * regionWidth + (startX - left)) * 4;
+        const rowPixels = this.pixels.subarray(from, from + (endX - startX) * 4);
+        image.pixels.set(scale === 1 ? rowPixels : rowPixels.map(value => value * scale), to);
+      }
+    }
+    image.updatePixels();
+    return image;
+  }
+
+  /**
+   * Writes pixels back to the layer after changing them
+   * @returns {Layer} This layer for chaining
+   */
+  updatePixels() {
+    if (!this.framebuffer || !this.pixels) {
+      console.warn(`Cannot update pixels of ${this.name}: call loadPixels() first`);
+      return this;
+    }
+    if (this.locks.pixels) {
+      console.warn(`Cannot update pixels: pixels of layer ${this.name} are locked`);
+      return this;
+    }
+
+    // Alpha lock: write the new colors but keep the current transparency
+    const alphaLock = this.locks.alpha ? this._ensureAlphaLock() : null;
+    if (alphaLock) {
+      this._drawAlphaLockPass(alphaLock.snapshot, this.framebuffer, this.framebuffer);
+    }
+
+    this.framebuffer.pixels = this.pixels;
+    this.framebuffer.updatePixels();
+    if (alphaLock) {
+      this._restoreLockedAlpha();
+    }
+    this.hasBeenDrawnTo = true;
+    this._markDirty(true);
+    // pixels now matches the framebuffer again, unless its alpha was restored
+    this._pixelsLoaded = !alphaLock;
+    return this;
+  }
+
+  /**
+   * Gets the bounds of the layer's content in layer pixels
+   * @private
+   */
+  _getLayerContentBounds(alphaThreshold, padding) {
+    this.loadPixels();
+    if (!this._pixelsLoaded) {
+      return null;
+    }
+
+    const d = this.density;
+    const bounds = computeAlphaBounds(this.pixels, Math.round(this.width * d), Math.round(this.height * d), {
+      // Float pixels store alpha from 0 to 1
+      alphaThreshold: this.format === BufferFormats.UNSIGNED_BYTE ? alphaThreshold : alphaThreshold / 255
+    });
+    if (!bounds) {
+      return null;
+    }
+    return padBounds({
+      x: bounds.x / d,
+      y: bounds.y / d,
+      width: bounds.width / d,
+      height: bounds.height / d
+    }, padding, this.width, this.height);
+  }
+
+  /**
+   * Gets the canvas area covered by the layer's content, taking the transform
+   * into account. Reads the pixels like loadPixels(), so repeated calls are
+   * cheap until the layer is drawn to again.
+   * @param {Object} [options] - Bounds options
+   * @param {number} [options.alphaThreshold=0] - Pixels with this alpha (0-255) or less count as empty
+   * @param {number} [options.padding=0] - Margin around the content in layer pixels, within the layer
+   * @returns {{x:number,y:number,width:number,height:number}|null} Bounds in canvas pixels,
+   *   or null if the layer is empty
+   */
+  getContentBounds(options = {}) {
+    const { alphaThreshold = 0, padding = 0 } = options;
+    const bounds = this._getLayerContentBounds(alphaThreshold, padding);
+    if (!bounds) {
+      return null;
+    }
+
+    // Rotated layers cover the box around their transformed corners
+    const right = bounds.x + bounds.width;
+    const bottom = bounds.y + bounds.height;
+    const corners = [[bounds.x, bounds.y], [right, bounds.y], [right, bottom], [bounds.x, bottom]]
+      .map(([x, y]) => this.layerToCanvas(x, y));
+    const xs = corners.map(corner => corner.x);
+    const ys = corners.map(corner => corner.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    return {
+      x: minX,
+      y: minY,
+      width: Math.max(...xs) - minX,
+      height: Math.max(...ys) - minY
+    };
+  }
+
+  /**
+   * Shrinks the layer to its content. The layer gets a transform that keeps
+   * the content in the same place on the canvas, and is no longer resized
+   * with the canvas.
+   * @param {Object} [options] - Same as getContentBounds()
+   * @returns {Layer} This layer for chaining
+   */
+  trim(options = {}) {
+    if (!this.usesFramebuffer || this.isGenerated) {
+      console.warn(`Cannot trim ${this.name}: only layers drawn with begin()/end() can be trimmed`);
+      return this;
+    }
+    if (this.locks.pixels) {
+      console.warn(`Cannot trim: pixels of layer ${this.name} are locked`);
+      return this;
+    }
+    if (this._rejectIfPropertiesLocked('trim')) return this;
+    if (this.mask) {
+      console.warn(`Cannot trim ${this.name}: its mask would no longer line up with the content`);
+      return this;
+    }
+
+    const { alphaThreshold = 0, padding = 0 } = options;
+    const bounds = this._getLayerContentBounds(alphaThreshold, padding);
+    if (!bounds) {
+      console.warn(`Cannot trim ${this.name}: the layer is empty`);
+      return this;
+    }
+
+    // Whole layer pixels, so that the content is copied without resampling
+    const left = Math.floor(bounds.x);
+    const top = Math.floor(bounds.y);
+    const width = Math.ceil(bounds.x + bounds.width) - left;
+    const height = Math.ceil(bounds.y + bounds.height) - top;
+    if (width === this.width && height === this.height) {
+      return this;
+    }
+
+    // Without a transform the layer is stretched over the canvas
+    const previousWidth = this.width;
+    const previousHeight = this.height;
+    const transform = this.transform ? { ...this.transform } : {
+      ...createTransform(),
+      scaleX: this.p.width / previousWidth,
+      scaleY: this.p.height / previousHeight
+    };
+    const anchor = layerToCanvas(transform, previousWidth, previousHeight,
+      left + transform.anchorX * width, top + transform.anchorY * height);
+
+    // Keep the old framebuffer until its content is copied into the new one
+    const previous = this.framebuffer;
+    this.framebuffer = null;
+    this.resize(width, height);
+    this._copyContentFrom(previous, -left, -top, previousWidth, previousHeight);
+    previous.remove();
+
+    this.transform = { ...transform, x: anchor.x, y: anchor.y };
+    return this;
+  }
+
+  /**
+   * Updates generated content before compositing. Called by the Compositor
+   * for every visible layer; layers drawn with begin()/end() have nothing to do.
+   * @param {Object} [context] - Compositing context
+   * @param {p5.Framebuffer} [context.background] - The composite of the layers below
+   */
+  prepare() {}
+
   /**
    * Begins drawing to this layer's framebuffer
    */
@@ -193,7 +1261,21 @@ export class Layer {
       console.error(`Cannot begin drawing: framebuffer not initialized for layer ${this.name}`);
       return;
     }
+    if (this.locks.pixels) {
+      console.warn(`Cannot begin drawing: pixels of layer ${this.name} are locked`);
+      return;
+    }
+
+    // Remember the current transparency so it can be restored in end()
+    const alphaLock = this.locks.alpha ? this._ensureAlphaLock() : null;
+    if (alphaLock) {
+      this._drawAlphaLockPass(alphaLock.snapshot, this.framebuffer, this.framebuffer);
+    }
+    this._alphaSnapshotTaken = !!alphaLock;
+
+    this._applyClearMode();
     this.framebuffer.begin();
+    this._isDrawing = true;
   }
 
   /**
@@ -204,20 +1286,118 @@ export class Layer {
       console.error(`Cannot end drawing: framebuffer not initialized for layer ${this.name}`);
       return;
     }
+    // begin() refused (e.g. locked pixels) or was never called: nothing was drawn
+    if (!this._isDrawing) {
+      return;
+    }
+    this._isDrawing = false;
     this.framebuffer.end();
+
+    // Alpha lock: keep the new colors but restore the transparency from begin()
+    if (this._alphaSnapshotTaken && this._alphaLock) {
+      this._restoreLockedAlpha();
+    }
+    this._alphaSnapshotTaken = false;
     
     // Mark that this layer has been drawn to
     this.hasBeenDrawnTo = true;
+    this._markDirty(true);
+  }
+
+  /**
+   * Recombines the framebuffer's colors with the alpha of the alpha lock snapshot
+   * @private
+   */
+  _restoreLockedAlpha() {
+    const { snapshot, scratch } = this._alphaLock;
+    this._drawAlphaLockPass(scratch, this.framebuffer, snapshot);
+    this._drawAlphaLockPass(this.framebuffer, scratch, scratch);
+  }
+
+  /**
+   * Draws a full-size pass into a framebuffer that combines the color of one
+   * texture with the alpha of another
+   * @private
+   */
+  _drawAlphaLockPass(targetBuffer, colorSource, alphaSource) {
+    this._drawPass(targetBuffer, this._alphaLock.shader, { colorTexture: colorSource, alphaTexture: alphaSource });
+  }
+
+  /**
+   * Replaces the content of a framebuffer with a full-size shader pass
+   * @private
+   */
+  _drawPass(targetBuffer, shader, uniforms) {
+    const p = this.p;
+
+    targetBuffer.begin();
+    p.push();
+    p.clear();
+    p.blendMode(p.BLEND);
+    p.shader(shader);
+    Object.entries(uniforms).forEach(([name, value]) => shader.setUniform(name, value));
+    p.noStroke();
+    p.rect(0, 0, this.width, this.height);
+    p.resetShader();
+    p.pop();
+    targetBuffer.end();
+  }
+
+  /**
+   * Lazily creates the shader and buffers used by the alpha lock
+   * @private
+   */
+  _ensureAlphaLock() {
+    if (this._alphaLock) {
+      return this._alphaLock;
+    }
+
+    try {
+      this._alphaLock = {
+        shader: this.p.createShader(compositorVertSource, alphaLockFragSource),
+        snapshot: this._createFramebuffer(),
+        scratch: this._createFramebuffer()
+      };
+    } catch (e) {
+      console.error(`Failed to create alpha lock shader for layer ${this.name}:`, e);
+      return null;
+    }
+
+    if (!this._alphaLock.snapshot || !this._alphaLock.scratch) {
+      console.error(`Alpha lock unavailable for layer ${this.name}: drawing will not preserve transparency`);
+      this._disposeAlphaLock();
+    }
+    return this._alphaLock;
+  }
+
+  /**
+   * Frees the alpha lock buffers
+   * @private
+   */
+  _disposeAlphaLock() {
+    if (!this._alphaLock) {
+      return;
+    }
+    [this._alphaLock.snapshot, this._alphaLock.scratch].forEach(buffer => {
+      if (buffer) {
+        buffer.remove();
+      }
+    });
+    this._alphaLock = null;
   }
 
   /**
    * Disposes of this layer's resources
    */
   dispose() {
+    this._disposeAlphaLock();
+    this._disposeFade();
+    this._disposeEffectCache();
     if (this.framebuffer) {
       this.framebuffer.remove();
       this.framebuffer = null;
     }
+    this.pixels = null;
   }
 
   /**
@@ -227,16 +1407,32 @@ export class Layer {
     return {
       id: this.id,
       name: this.name,
+      displayName: this.displayName,
+      tags: [...this.tags],
+      isGroup: this.isGroup,
       visible: this.visible,
       opacity: this.opacity,
+      fillOpacity: this.fillOpacity,
       blendMode: this.blendMode,
+      clipping: this.clipping,
+      depthTest: this.depthTest,
+      filtering: this.filtering,
+      format: this.format,
+      integerScale: this.integerScale,
+      clearMode: this.clearMode,
+      fadeAmount: this.fadeAmount,
+      fadeColor: this.fadeColor,
+      locks: { ...this.locks },
+      effects: cloneParam(this.effects),
       zIndex: this.zIndex,
+      groupId: this.group ? this.group.id : null,
       hasMask: !!this.mask,
       hasBeenDrawnTo: this.hasBeenDrawnTo,
       width: this.width,
       height: this.height,
       density: this.density,
-      customSize: this.customSize
+      customSize: this.customSize,
+      transform: this.transform ? { ...this.transform } : null
     };
   }
 }
@@ -0,0 +1,133 @@
+import { Layer } from './Layer.js';
+import { GroupModes } from './constants.js';
+
+/**
+ * A folder of layers that is composited as a single unit.
+ * Groups share the visibility, opacity, blend mode and mask API of Layer
+ * but have no framebuffer of their own.
+ */
+export class LayerGroup extends Layer {
+  /**
+   * @param {p5} p5Instance - The p5.js instance
+   * @param {string|number} id - Unique identifier for this group
+   * @param {string} name - Human-readable name for this group
+   * @param {Object} options - Group configuration options
+   * @param {string} options.mode - One of the GroupModes constants (default: PASS_THROUGH)
+   */
+  constructor(p5Instance, id, name = '', options = {}) {
+    super(p5Instance, id, name || `Group ${id}`, options);
+
+    this.mode = GroupModes.PASS_THROUGH;
+    if (options.mode !== undefined) {
+      this.setMode(options.mode);
+    }
+
+    // Direct children (layers or nested groups), in no particular order
+    this.children = [];
+  }
+
+  get isGroup() {
+    return true;
+  }
+
+  get usesFramebuffer() {
+    return false;
+  }
+
+  /**
+   * Sets how the group's children are composited
+   * @param {string} mode - One of the GroupModes constants
+   * @returns {LayerGroup} This group for chaining
+   */
+  setMode(mode) {
+    if (this._rejectIfPropertiesLocked('set group mode')) return this;
+    if (!Object.values(GroupModes).includes(mode)) {
+      console.warn(`Invalid group mode: ${mode}, using PASS_THROUGH`);
+      this.mode = GroupModes.PASS_THROUGH;
+    } else {
+      this.mode = mode;
+    }
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Adds a layer (or group) to this group, detaching it from its previous parent
+   * @param {Layer} layer - The layer to add
+   * @returns {LayerGroup} This group for chaining
+   */
+  addChild(layer) {
+    if (layer.group === this) {
+      return this;
+    }
+    if (layer.group) {
+      layer.group.removeChild(layer);
+    }
+    layer.group = this;
+    this.children.push(layer);
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Removes a layer from this group, moving it back to the root of the stack
+   * @param {Layer} layer - The layer to remove
+   * @returns {LayerGroup} This group for chaining
+   */
+  removeChild(layer) {
+    const index = this.children.indexOf(layer);
+    if (index !== -1) {
+      this.children.splice(index, 1);
+      layer.group = null;
+      this._markDirty();
+    }
+    return this;
+  }
+
+  /**
+   * Gets the direct children of this group, sorted by zIndex
+   * @returns {Layer[]} Array of child layers
+   */
+  getChildren() {
+    return [...this.children].sort((a, b) => a.zIndex - b.zIndex);
+  }
+
+  /**
+   * Checks whether a layer is nested anywhere inside this group
+   * @param {Layer} layer - The layer to look for
+   * @returns {boolean}
+   */
+  contains(layer) {
+    let parent = layer ? layer.group : null;
+    while (parent) {
+      if (parent === this) {
+        return true;
+      }
+      parent = parent.group;
+    }
+    return false;
+  }
+
+  /**
+   * Groups cannot be drawn to directly
+   */
+  begin() {
+    console.error(`Cannot begin drawing: ${this.name} is a group. Draw to one of its layers instead.`);
+  }
+
+  /**
+   * Groups cannot be drawn to directly
+   */
+  end() {}
+
+  /**
+   * Returns a plain object representation of this group's properties
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      mode: this.mode,
+      childIds: this.getChildren().map(child => child.id)
+    };
+  }
+}
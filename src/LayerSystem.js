@@ -1,7 +1,23 @@
 import { Layer } from './Layer.js';
+import { LayerGroup } from './LayerGroup.js';
+import { AdjustmentLayer } from './AdjustmentLayer.js';
+import { FillLayer } from './FillLayer.js';
+import { ImageLayer } from './ImageLayer.js';
+import { ShaderLayer } from './ShaderLayer.js';
 import { Compositor } from './Compositor.js';
-import { BlendModes } from './constants.js';
+import { BlendModes, AdjustmentTypes, BufferFormats, DEFAULT_HDR_OPTIONS, FillTypes, ToneMappingOperators } from './constants.js';
 import { LayerUI } from './LayerUI.js';
+import { isLayerSelector, matchesSelector } from './utils/selectors.js';
+import { resolveResizeOptions } from './utils/fit.js';
+import { resolveBufferFormat } from './utils/formats.js';
+
+// Default names of fill layers, by fill type
+const FILL_LAYER_NAMES = {
+  [FillTypes.SOLID]: 'Color Fill',
+  [FillTypes.LINEAR]: 'Linear Gradient',
+  [FillTypes.RADIAL]: 'Radial Gradient',
+  [FillTypes.PATTERN]: 'Pattern'
+};
 
 /**
  * Main layer system manager
@@ -28,15 +44,37 @@ export class LayerSystem {
     this.layers = new Map(); // id -> Layer
     this.layerNames = new Map(); // name -> id (for string-based lookups)
     this.layerIdCounter = 0;
-    this.activeLayerId = null;
+    this.drawingStack = []; // IDs of the layers begun but not yet ended (see begin())
+    this.soloedLayerIds = new Set(); // layers rendered on their own (see solo())
     this.compositor = new Compositor(p5Instance);
     this.ui = null; // LayerUI instance
 
-    // Track if we're auto-resizing
+    // Track if we're auto-resizing, and what happens to layer content when we do
     this.autoResize = true;
+    this.autoResizeOptions = resolveResizeOptions();
     this._lastCanvasWidth = this.p.width;
     this._lastCanvasHeight = this.p.height;
     this._lastPixelDensity = this.p.pixelDensity();
+
+    // HDR compositing (see setHDR()); the options are kept while it is off
+    this.hdr = false;
+    this.hdrOptions = { ...DEFAULT_HDR_OPTIONS };
+  }
+
+  /**
+   * The layer currently being drawn to: the most recently begun layer that has not been ended
+   * @returns {Layer|null}
+   */
+  get activeLayer() {
+    return this.activeLayerId === null ? null : this.layers.get(this.activeLayerId) || null;
+  }
+
+  /**
+   * ID of the layer currently being drawn to (see activeLayer)
+   * @returns {number|null}
+   */
+  get activeLayerId() {
+    return this.drawingStack.length > 0 ? this.drawingStack[this.drawingStack.length - 1] : null;
   }
 
   /**
@@ -50,10 +88,21 @@ export class LayerSystem {
   /**
    * Gets a layer by ID or name
    * @private
-   * @param {number|string} layerIdOrName - The layer ID (number) or name (string)
+   * @param {number|string|Object} layerIdOrName - The layer ID (number) or name (string),
+   *   or a selector (see findLayers()) for the first matching layer. Selectors matching
+   *   several layers are reported, as single-layer methods only act on one of them.
    * @returns {Layer|null} The layer, or null if not found
    */
   _getLayerById(layerIdOrName) {
+    if (isLayerSelector(layerIdOrName)) {
+      const matches = this.findLayers(layerIdOrName);
+      if (matches.length > 1) {
+        console.warn(`Selector ${JSON.stringify(layerIdOrName)} matches ${matches.length} layers, ` +
+          `using the first one (${matches[0].name})`);
+      }
+      return matches[0] || null;
+    }
+
     // If it's a number, look up directly by ID
     if (typeof layerIdOrName === 'number') {
       return this.layers.get(layerIdOrName) || null;
@@ -71,57 +120,720 @@ export class LayerSystem {
   }
 
   /**
-   * Creates a new layer
-   * @param {string} name - Optional name for the layer
-   * @param {Object} options - Layer configuration options
-   * @returns {Layer} The created layer instance
+   * Creates a new layer
+   * @param {string} name - Optional name for the layer. If the name is already taken,
+   *   a number is appended (e.g. "Stars 2") and the requested name is kept as the display name.
+   * @param {Object} options - Layer configuration options
+   * @param {number|string} options.group - Optional ID or name of the group to place the layer in
+   * @returns {Layer} The created layer instance
+   */
+  createLayer(name = '', options = {}) {
+    const id = this._generateId();
+    const layerName = name || `Layer ${id}`;
+    const layer = new Layer(this.p, id, this._getUniqueName(layerName), {
+      displayName: layerName,
+      ...options,
+      zIndex: options.zIndex !== undefined ? options.zIndex : id
+    });
+
+    this._registerLayer(layer, options.group);
+    return layer;
+  }
+
+  /**
+   * Creates a new layer group (folder)
+   * @param {string} name - Optional name for the group
+   * @param {Object} options - Group configuration options
+   * @param {string} options.mode - One of the GroupModes constants (default: PASS_THROUGH)
+   * @param {number|string} options.group - Optional ID or name of the parent group
+   * @returns {LayerGroup} The created group instance
+   */
+  createGroup(name = '', options = {}) {
+    const id = this._generateId();
+    const groupName = name || `Group ${id}`;
+    const group = new LayerGroup(this.p, id, this._getUniqueName(groupName), {
+      displayName: groupName,
+      ...options,
+      zIndex: options.zIndex !== undefined ? options.zIndex : id
+    });
+
+    this._registerLayer(group, options.group);
+    return group;
+  }
+
+  /**
+   * Creates an adjustment layer that recolors everything beneath it
+   * @param {string} type - One of the AdjustmentTypes constants
+   * @param {Object} params - Adjustment parameters (see ADJUSTMENT_PARAMS for each type)
+   * @param {Object} options - Layer configuration options
+   * @param {string} options.name - Optional name for the layer
+   * @param {number|string} options.group - Optional ID or name of the group to place the layer in
+   * @returns {AdjustmentLayer|null} The created layer, or null if the type is unknown
+   */
+  createAdjustmentLayer(type, params = {}, options = {}) {
+    if (!Object.values(AdjustmentTypes).includes(type)) {
+      console.warn(`Unknown adjustment type: ${type}`);
+      return null;
+    }
+
+    const id = this._generateId();
+    const layerName = options.name || `${this._formatAdjustmentType(type)} ${id}`;
+    const layer = new AdjustmentLayer(this.p, id, this._getUniqueName(layerName), {
+      displayName: layerName,
+      ...options,
+      type,
+      params,
+      zIndex: options.zIndex !== undefined ? options.zIndex : id
+    });
+
+    this._registerLayer(layer, options.group);
+    return layer;
+  }
+
+  /**
+   * Formats an adjustment type for default layer names (e.g. "Hue/Saturation")
+   * @private
+   */
+  _formatAdjustmentType(type) {
+    return type.split('_')
+      .map(word => word.charAt(0) + word.slice(1).toLowerCase())
+      .join(type === AdjustmentTypes.GRADIENT_MAP ? ' ' : '/');
+  }
+
+  /**
+   * Updates the parameters of an adjustment layer
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {Object} params - Parameters to change
+   * @returns {AdjustmentLayer|AdjustmentLayer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  setAdjustmentParams(layerIdOrName, params) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.setAdjustmentParams(id, params));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer || !layer.isAdjustment) {
+      console.warn(`Adjustment layer ${layerIdOrName} not found`);
+      return null;
+    }
+    return layer.setParams(params);
+  }
+
+  /**
+   * Creates a fill layer whose content is a generated color, gradient or pattern
+   * @param {Object} fill - Fill type and parameters, e.g. { type: 'linear', angle: 45, stops: [...] }
+   * @param {string} fill.type - One of the FillTypes constants (default: 'solid')
+   * @param {Object} options - Layer configuration options
+   * @param {string} options.name - Optional name for the layer
+   * @param {number|string} options.group - Optional ID or name of the group to place the layer in
+   * @returns {FillLayer|null} The created layer, or null if the type is unknown
+   */
+  createFillLayer(fill = {}, options = {}) {
+    const { type = FillTypes.SOLID, ...params } = fill;
+    if (!Object.values(FillTypes).includes(type)) {
+      console.warn(`Unknown fill type: ${type}`);
+      return null;
+    }
+
+    const id = this._generateId();
+    const layerName = options.name || `${FILL_LAYER_NAMES[type]} ${id}`;
+    const layer = new FillLayer(this.p, id, this._getUniqueName(layerName), {
+      displayName: layerName,
+      ...options,
+      type,
+      params,
+      zIndex: options.zIndex !== undefined ? options.zIndex : id
+    });
+
+    this._registerLayer(layer, options.group);
+    return layer;
+  }
+
+  /**
+   * Updates the parameters of a fill layer. Passing a different type switches
+   * the fill type, starting from the defaults of the new type.
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {Object} fill - Parameters to change, optionally with a new type
+   * @returns {FillLayer|FillLayer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  setFillParams(layerIdOrName, fill = {}) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.setFillParams(id, fill));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!(layer instanceof FillLayer)) {
+      console.warn(`Fill layer ${layerIdOrName} not found`);
+      return null;
+    }
+
+    const { type, ...params } = fill;
+    if (type !== undefined && type !== layer.fillType) {
+      layer.setFillType(type, params);
+    } else {
+      layer.setParams(params);
+    }
+
+    if (this.ui && typeof this.ui.scheduleThumbnailUpdate === 'function') {
+      this.ui.scheduleThumbnailUpdate(layer.id, { needsCapture: true });
+    }
+    return layer;
+  }
+
+  /**
+   * Creates a layer that shows an image, video or webcam capture.
+   * Videos and captures are refreshed automatically on every render().
+   * @param {string} name - Optional name for the layer
+   * @param {p5.Image|p5.MediaElement|Promise|string} source - The content: an image, video or capture,
+   *   or a promise or URL that is loaded asynchronously
+   * @param {Object} options - Layer configuration options
+   * @param {string} options.fit - One of the FitModes constants (default: CONTAIN)
+   * @param {string|number[]} options.placeholder - Optional color shown while the source loads
+   * @param {number|string} options.group - Optional ID or name of the group to place the layer in
+   * @returns {ImageLayer} The created layer instance
+   */
+  createImageLayer(name = '', source = null, options = {}) {
+    const id = this._generateId();
+    const layerName = name || `Image ${id}`;
+    const layer = new ImageLayer(this.p, id, this._getUniqueName(layerName), {
+      displayName: layerName,
+      ...options,
+      source,
+      zIndex: options.zIndex !== undefined ? options.zIndex : id
+    });
+
+    this._registerLayer(layer, options.group);
+    this._updateThumbnailWhenLoaded(layer);
+    return layer;
+  }
+
+  /**
+   * Replaces the content of an image layer (see ImageLayer.setSource)
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {p5.Image|p5.MediaElement|Promise|string} source - The new content
+   * @returns {ImageLayer|ImageLayer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  setImageSource(layerIdOrName, source) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.setImageSource(id, source));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!(layer instanceof ImageLayer)) {
+      console.warn(`Image layer ${layerIdOrName} not found`);
+      return null;
+    }
+    layer.setSource(source);
+    this._updateThumbnailWhenLoaded(layer);
+    return layer;
+  }
+
+  /**
+   * Creates a layer rendered by a fragment shader every time it is composited.
+   * The shader gets uTime, uFrame, uResolution, uMouse and uBackground (the
+   * layers below) on top of the custom uniforms (see ShaderLayer).
+   * @param {string} name - Optional name for the layer
+   * @param {string} fragSource - GLSL fragment shader source, using `varying vec2 vTexCoord`
+   * @param {Object} uniforms - Initial values of custom uniforms
+   * @param {Object} options - Layer configuration options
+   * @param {number|string} options.group - Optional ID or name of the group to place the layer in
+   * @returns {ShaderLayer} The created layer instance
+   */
+  createShaderLayer(name = '', fragSource = '', uniforms = {}, options = {}) {
+    const id = this._generateId();
+    const layerName = name || `Shader ${id}`;
+    const layer = new ShaderLayer(this.p, id, this._getUniqueName(layerName), {
+      displayName: layerName,
+      ...options,
+      fragSource,
+      uniforms,
+      zIndex: options.zIndex !== undefined ? options.zIndex : id
+    });
+
+    this._registerLayer(layer, options.group);
+    return layer;
+  }
+
+  /**
+   * Refreshes an image layer's thumbnail once its source has loaded
+   * @private
+   */
+  _updateThumbnailWhenLoaded(layer) {
+    layer.loaded.then(() => {
+      if (this.ui && this.layers.get(layer.id) === layer && typeof this.ui.scheduleThumbnailUpdate === 'function') {
+        this.ui.scheduleThumbnailUpdate(layer.id, { needsCapture: true });
+      }
+    });
+  }
+
+  /**
+   * Returns a name that no other layer uses, appending a number if needed
+   * @private
+   * @param {string} name - The requested name
+   * @param {Layer} ignoredLayer - Optional layer allowed to keep the name (when renaming)
+   */
+  _getUniqueName(name, ignoredLayer = null) {
+    const isTaken = (candidate) => {
+      const id = this.layerNames.get(candidate);
+      return id !== undefined && (!ignoredLayer || id !== ignoredLayer.id);
+    };
+
+    let uniqueName = name;
+    let suffix = 2;
+    while (isTaken(uniqueName)) {
+      uniqueName = `${name} ${suffix++}`;
+    }
+    return uniqueName;
+  }
+
+  /**
+   * Renames a layer, keeping name lookups consistent. Duplicate names are
+   * disambiguated with a number (e.g. "Stars 2"); the display name is set to
+   * the requested name as-is.
+   * @param {number|string|Object} layerIdOrName - The ID or current name of the layer, or a selector matching a single layer (see findLayers())
+   * @param {string} newName - The new name
+   * @returns {Layer|null} The layer for chaining, or null if it could not be renamed
+   */
+  renameLayer(layerIdOrName, newName) {
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+
+    const requestedName = typeof newName === 'string' ? newName.trim() : '';
+    if (!requestedName) {
+      console.warn(`Invalid name for layer ${layer.name}: names must be non-empty strings`);
+      return null;
+    }
+
+    const name = this._getUniqueName(requestedName, layer);
+    if (this.layerNames.get(layer.name) === layer.id) {
+      this.layerNames.delete(layer.name);
+    }
+    this.layerNames.set(name, layer.id);
+
+    layer.name = name;
+    layer.setDisplayName(requestedName);
+    return layer;
+  }
+
+  /**
+   * Sets the label shown for a layer in the UI. Display names may be duplicated
+   * and are not used for lookups.
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {string} displayName - The new label
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  setDisplayName(layerIdOrName, displayName) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.setDisplayName(id, displayName));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    return layer.setDisplayName(displayName);
+  }
+
+  /**
+   * Adds a newly created layer or group to the lookup maps
+   * @private
+   */
+  _registerLayer(layer, groupIdOrName) {
+    this.layers.set(layer.id, layer);
+
+    // Register the name for string-based lookups
+    if (layer.name) {
+      this.layerNames.set(layer.name, layer.id);
+    }
+
+    if (groupIdOrName !== undefined && groupIdOrName !== null) {
+      this.addToGroup(layer.id, groupIdOrName);
+    }
+  }
+
+  /**
+   * Duplicates a layer, including a GPU copy of its pixels, and inserts the
+   * copy directly above the original. Duplicating a group also duplicates its children.
+   * @param {number|string|Object} layerIdOrName - The ID or name of the layer to duplicate, or a selector matching a single layer (see findLayers())
+   * @param {string} newName - Optional name for the copy (default: "<name> copy")
+   * @returns {Layer|null} The new layer, or null if the source was not found
+   */
+  duplicateLayer(layerIdOrName, newName = '') {
+    const source = this._getLayerById(layerIdOrName);
+    if (!source) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+
+    const copy = this._duplicate(source, newName || `${source.name} copy`, source.group);
+
+    // Make room directly above the source among its siblings
+    this._getSiblings(source).forEach(layer => {
+      if (layer !== copy && layer.zIndex > source.zIndex) {
+        // Shifting keeps the relative order, so it also applies to locked layers
+        layer.zIndex += 1;
+        layer._markDirty();
+      }
+    });
+    copy.setZIndex(source.zIndex + 1);
+
+    return copy;
+  }
+
+  /**
+   * Creates a copy of a layer (recursively for groups) inside the given group
+   * @private
+   */
+  _duplicate(source, name, group) {
+    const options = {
+      visible: source.visible,
+      tags: [...source.tags],
+      opacity: source.opacity,
+      fillOpacity: source.fillOpacity,
+      blendMode: source.blendMode,
+      clipping: source.clipping,
+      clearMode: source.clearMode,
+      fadeAmount: source.fadeAmount,
+      fadeColor: source.fadeColor,
+      depth: source.depth,
+      depthTest: source.depthTest,
+      antialias: source.antialias,
+      filtering: source.filtering,
+      format: source.format,
+      integerScale: source.integerScale,
+      group: group ? group.id : undefined
+    };
+    if (source.customSize) {
+      options.width = source.width;
+      options.height = source.height;
+      options.density = source.density;
+    }
+
+    let copy;
+    if (source.isAdjustment) {
+      copy = this.createAdjustmentLayer(source.adjustmentType, source.toJSON().params, { ...options, name });
+    } else if (source instanceof FillLayer) {
+      copy = this.createFillLayer({ type: source.fillType, ...source.toJSON().params }, { ...options, name });
+    } else if (source instanceof ImageLayer) {
+      const content = source.status === 'loading' ? source.loaded.then(layer => layer.source) : source.source;
+      copy = this.createImageLayer(name, content, { ...options, fit: source.fit, placeholder: source.placeholder });
+    } else if (source instanceof ShaderLayer) {
+      copy = this.createShaderLayer(name, source.fragSource, source.uniforms, options);
+    } else if (source.isGroup) {
+      copy = this.createGroup(name, { ...options, mode: source.mode });
+      source.getChildren().forEach(child => {
+        this._duplicate(child, `${child.name} copy`, copy).setZIndex(child.zIndex);
+      });
+    } else {
+      copy = this.createLayer(name, options);
+      copy._copyContentFrom(source.framebuffer);
+      copy.hasBeenDrawnTo = source.hasBeenDrawnTo;
+    }
+
+    if (source.mask) {
+      copy.setMask(source.mask);
+    }
+    if (source.transform) {
+      copy.transform = { ...source.transform };
+    }
+    source.effects.forEach(effect => {
+      const added = copy.addEffect(effect.type, effect.params);
+      if (added) {
+        added.enabled = effect.enabled;
+      }
+    });
+
+    return copy;
+  }
+
+  /**
+   * Gets the layers that share a parent with the given layer (including itself)
+   * @private
+   */
+  _getSiblings(layer) {
+    return layer.group ? [...layer.group.children] : this._getRootLayers();
+  }
+
+  /**
+   * Merges a layer into the layer directly below it, respecting its blend mode,
+   * opacity, mask and clipping. The lower layer keeps its own properties and
+   * becomes canvas-sized; the merged layer is removed.
+   * @param {number|string|Object} layerIdOrName - The ID or name of the layer to merge down, or a selector matching a single layer (see findLayers())
+   * @returns {Layer|null} The lower layer holding the result, or null if the merge was not possible
+   */
+  mergeDown(layerIdOrName) {
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+
+    const siblings = this._getSiblings(layer).sort((a, b) => a.zIndex - b.zIndex);
+    const below = siblings[siblings.indexOf(layer) - 1];
+    if (!below) {
+      console.warn(`Layer ${layer.name} has no layer below it to merge into`);
+      return null;
+    }
+    if (!below.framebuffer) {
+      console.warn(`Cannot merge ${layer.name} into ${below.name}: the layer below has no pixels of its own`);
+      return null;
+    }
+    if (below.isGenerated) {
+      console.warn(`Cannot merge ${layer.name} into ${below.name}: the content of the layer below is generated`);
+      return null;
+    }
+    if (this._hasLockedPixels(layer) || this._hasLockedPixels(below)) {
+      console.warn(`Cannot merge ${layer.name} into ${below.name}: pixels are locked`);
+      return null;
+    }
+
+    // The lower layer's pixels are the backdrop, drawn as-is. Nothing is
+    // composited beneath it, so it has no scene depth to be tested against.
+    const backdrop = Object.assign(Object.create(below), {
+      visible: true,
+      opacity: 1,
+      fillOpacity: 1,
+      blendMode: BlendModes.NORMAL,
+      mask: null,
+      clipping: false,
+      depthTest: false,
+      effects: []
+    });
+    const result = this.compositor.compositeToBuffer([backdrop, layer]);
+
+    this._replaceContent(below, result);
+    this.removeLayer(layer.id);
+
+    return below;
+  }
+
+  /**
+   * Collapses all visible layers into a single new layer. Hidden layers are kept.
+   * @param {string} name - Optional name for the flattened layer (default: "Flattened")
+   * @returns {Layer|null} The flattened layer, or null if no layer is visible
+   */
+  flatten(name = 'Flattened') {
+    const consumed = this._getRootLayers().filter(layer => layer.visible);
+    if (consumed.length === 0) {
+      console.warn('Nothing to flatten: no visible layers');
+      return null;
+    }
+    const locked = consumed.find(layer => this._hasLockedPixels(layer));
+    if (locked) {
+      console.warn(`Cannot flatten: pixels of ${locked.name} are locked`);
+      return null;
+    }
+    const zIndex = Math.min(...consumed.map(layer => layer.zIndex));
+
+    const result = this.compositor.compositeToBuffer(consumed);
+    const flattened = this.createLayer(name, { zIndex });
+    this._replaceContent(flattened, result);
+
+    consumed.forEach(layer => this.removeLayer(layer.id));
+
+    return flattened;
+  }
+
+  /**
+   * Replaces a layer's pixels with a canvas-space composite
+   * @private
+   */
+  _replaceContent(layer, compositeBuffer) {
+    // Composites are canvas-sized and already include the layer's placement
+    if (layer.customSize) {
+      layer.resize(this.p.width, this.p.height, this.p.pixelDensity());
+    }
+    layer.transform = null;
+    layer._copyContentFrom(compositeBuffer);
+
+    if (this.ui && typeof this.ui.scheduleThumbnailUpdate === 'function') {
+      this.ui.scheduleThumbnailUpdate(layer.id, { needsCapture: true });
+    }
+  }
+
+  /**
+   * Checks whether a layer's pixels are locked, either directly, through a
+   * locked parent group, or (for groups) through a locked child
+   * @private
+   */
+  _hasLockedPixels(layer) {
+    for (let parent = layer.group; parent; parent = parent.group) {
+      if (parent.locks.pixels) {
+        return true;
+      }
+    }
+    const isLocked = (item) => item.locks.pixels ||
+      (item.isGroup && item.children.some(isLocked));
+    return isLocked(layer);
+  }
+
+  /**
+   * Locks a layer against edits (see Layer.lock)
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {Object} locks - Locks to set, e.g. { pixels: true, alpha: false, properties: true }
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  lockLayer(layerIdOrName, locks) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.lockLayer(id, locks));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    return layer.lock(locks);
+  }
+
+  /**
+   * Removes locks from a layer (see Layer.unlock)
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {Object} locks - Locks to remove (default: all)
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  unlockLayer(layerIdOrName, locks) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.unlockLayer(id, locks));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    return layer.unlock(locks);
+  }
+
+  /**
+   * Adds an effect to a layer (see Layer.addEffect)
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {string} type - One of the EffectTypes constants
+   * @param {Object} params - Effect parameters
+   * @returns {Object|Object[]|null} The effect, or null if it could not be added (an array of results for selectors)
+   */
+  addEffect(layerIdOrName, type, params) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.addEffect(id, type, params));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    return layer.addEffect(type, params);
+  }
+
+  /**
+   * Removes an effect from a layer
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {number} effectId - The effect ID
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  removeEffect(layerIdOrName, effectId) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.removeEffect(id, effectId));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    return layer.removeEffect(effectId);
+  }
+
+  /**
+   * Moves a layer (or group) into a group
+   * @param {number|string|Object} layerIdOrName - The ID or name of the layer to move, or a selector (see findLayers())
+   * @param {number|string} groupIdOrName - The ID or name of the target group
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if it could not be moved (an array of results for selectors)
+   */
+  addToGroup(layerIdOrName, groupIdOrName) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.addToGroup(id, groupIdOrName));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+
+    const group = this._getLayerById(groupIdOrName);
+    if (!group || !group.isGroup) {
+      console.warn(`Group ${groupIdOrName} not found`);
+      return null;
+    }
+
+    if (layer === group || (layer.isGroup && layer.contains(group))) {
+      console.warn(`Cannot move group ${layer.name} into itself`);
+      return null;
+    }
+
+    group.addChild(layer);
+    return layer;
+  }
+
+  /**
+   * Moves a layer (or group) out of its group, back to the root of the stack
+   * @param {number|string|Object} layerIdOrName - The ID or name of the layer to move, or a selector (see findLayers())
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
    */
-  createLayer(name = '', options = {}) {
-    const id = this._generateId();
-    const layerName = name || `Layer ${id}`;
-    const layer = new Layer(this.p, id, layerName, {
-      ...options,
-      zIndex: options.zIndex !== undefined ? options.zIndex : id
-    });
+  removeFromGroup(layerIdOrName) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.removeFromGroup(id));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
 
-    this.layers.set(id, layer);
-    
-    // Register the name for string-based lookups
-    if (layerName) {
-      this.layerNames.set(layerName, id);
+    if (layer.group) {
+      layer.group.removeChild(layer);
     }
-    
     return layer;
   }
 
   /**
-   * Removes a layer and disposes of its resources
-   * @param {number|string} layerIdOrName - The ID or name of the layer to remove
+   * Removes a layer and disposes of its resources.
+   * Removing a group also removes every layer nested inside it.
+   * @param {number|string|Object} layerIdOrName - The ID or name of the layer to remove, or a selector (see findLayers())
    */
   removeLayer(layerIdOrName) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.removeLayer(id));
+    }
     const layer = this._getLayerById(layerIdOrName);
     if (!layer) {
       console.warn(`Layer ${layerIdOrName} not found`);
       return;
     }
 
-    // If this layer is currently active, end it
-    if (this.activeLayerId === layer.id) {
+    if (layer.isGroup) {
+      [...layer.children].forEach(child => this.removeLayer(child.id));
+    }
+
+    if (layer.group) {
+      layer.group.removeChild(layer);
+    }
+
+    // If this layer is being drawn to, end it along with the layers begun after it
+    while (this.drawingStack.includes(layer.id)) {
       this.end();
     }
 
     // Remove from name map if it has a name
-    if (layer.name) {
+    if (layer.name && this.layerNames.get(layer.name) === layer.id) {
       this.layerNames.delete(layer.name);
     }
 
     layer.dispose();
     this.layers.delete(layer.id);
+    this.soloedLayerIds.delete(layer.id);
   }
 
   /**
    * Gets a layer by ID or name
-   * @param {number|string} layerIdOrName - The layer ID or name
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector
+   *   (see findLayers()) for the first matching layer, with a warning if several match
    * @returns {Layer|null} The layer, or null if not found
    */
   getLayer(layerIdOrName) {
@@ -129,11 +841,61 @@ export class LayerSystem {
   }
 
   /**
-   * Gets all layers as an array, sorted by zIndex
+   * Gets all layers as an array, in compositing order (bottom to top).
+   * Siblings are sorted by zIndex and each group is listed directly after
+   * (i.e. above) its children.
    * @returns {Layer[]} Array of layers
    */
   getLayers() {
-    return Array.from(this.layers.values()).sort((a, b) => a.zIndex - b.zIndex);
+    const flatten = (items) => [...items]
+      .sort((a, b) => a.zIndex - b.zIndex)
+      .flatMap(item => item.isGroup ? [...flatten(item.children), item] : [item]);
+
+    return flatten(this._getRootLayers());
+  }
+
+  /**
+   * Finds the layers matching a selector, in compositing order (see getLayers()).
+   * All given criteria must match:
+   * - tag: a tag, or an array of tags, the layer must have
+   * - name: the exact name, or a RegExp tested against the name
+   * - any other key: compared with the layer property of the same name,
+   *   e.g. { visible: true, blendMode: BlendModes.ADD }
+   * Selectors are also accepted instead of an ID or name by the methods that
+   * change layers, which then apply to every match. Methods that work on a
+   * single layer (e.g. getLayer(), begin(), renameLayer()) use the first match.
+   * @param {Object} selector - The criteria
+   * @returns {Layer[]} The matching layers
+   */
+  findLayers(selector = {}) {
+    return this.getLayers().filter(layer => matchesSelector(layer, selector));
+  }
+
+  /**
+   * Runs a LayerSystem method for each layer matching a selector
+   * @private
+   * @param {Object} selector - The selector (see findLayers())
+   * @param {Function} operation - Called with each layer ID
+   * @returns {Array} The results of the calls
+   */
+  _forEachMatch(selector, operation) {
+    const results = [];
+    this.findLayers(selector).forEach(layer => {
+      // Skip layers removed by an earlier call, e.g. together with their group
+      if (this.layers.get(layer.id) === layer) {
+        results.push(operation(layer.id));
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Gets the layers and groups that are not nested inside a group
+   * @private
+   * @returns {Layer[]} Array of root-level layers, unsorted
+   */
+  _getRootLayers() {
+    return Array.from(this.layers.values()).filter(layer => !layer.group);
   }
 
   /**
@@ -145,36 +907,88 @@ export class LayerSystem {
   }
 
   /**
-   * Begins drawing to a specific layer
-   * @param {number|string} layerIdOrName - The ID or name of the layer to draw to
+   * Shrinks a layer's framebuffer to its content while keeping its placement on
+   * the canvas (see Layer.trim())
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {Object} [options] - Content options
+   * @param {number} [options.alphaThreshold=0] - Pixels with this alpha (0-255) or less count as empty
+   * @param {number} [options.padding=0] - Margin to keep around the content, in layer pixels
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
    */
-  begin(layerIdOrName) {
-    // Check if another layer is already active
-    if (this.activeLayerId !== null) {
-      console.warn(`Layer ${this.activeLayerId} is already active. Ending it first.`);
-      this.end();
+  trimLayer(layerIdOrName, options = {}) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.trimLayer(id, options));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
     }
+    if (this.drawingStack.includes(layer.id)) {
+      console.warn(`Cannot trim ${layer.name} while it is being drawn to`);
+      return layer;
+    }
+
+    const revision = layer.revision;
+    layer.trim(options);
+    if (layer.revision !== revision && this.ui && typeof this.ui.scheduleThumbnailUpdate === 'function') {
+      this.ui.scheduleThumbnailUpdate(layer.id, { needsCapture: true });
+    }
+    return layer;
+  }
 
+  /**
+   * Begins drawing to a specific layer. Calls can be nested, e.g. to draw into
+   * a mask while a layer is open: end() then returns to the previous layer.
+   * @param {number|string|Object} layerIdOrName - The ID or name of the layer to draw to, or a selector matching a single layer (see findLayers())
+   */
+  begin(layerIdOrName) {
     const layer = this._getLayerById(layerIdOrName);
     if (!layer) {
       console.error(`Layer ${layerIdOrName} not found`);
       return;
     }
 
+    if (this.drawingStack.includes(layer.id)) {
+      console.error(`Cannot begin drawing to ${layer.name}: it is already being drawn to. Call end() first.`);
+      return;
+    }
+
+    if (layer.isGroup) {
+      console.error(`Cannot draw to group ${layer.name}. Draw to one of its layers instead.`);
+      return;
+    }
+
+    if (layer.isAdjustment) {
+      console.error(`Cannot draw to adjustment layer ${layer.name}. Use setAdjustmentParams() to change it.`);
+      return;
+    }
+
+    if (layer.isGenerated) {
+      console.error(`Cannot draw to ${layer.name}: its content is generated. Change its parameters instead.`);
+      return;
+    }
+
+    if (this._hasLockedPixels(layer)) {
+      console.warn(`Cannot draw to layer ${layer.name}: its pixels are locked`);
+      return;
+    }
+
     layer.begin();
-    this.activeLayerId = layer.id;
+    this.drawingStack.push(layer.id);
   }
 
   /**
-   * Ends drawing to the current layer
+   * Ends drawing to the most recently begun layer, returning to the layer that
+   * was being drawn to before it, if any
    */
   end() {
-    if (this.activeLayerId === null) {
+    if (this.drawingStack.length === 0) {
       console.warn('No active layer to end');
       return;
     }
 
-    const layer = this.layers.get(this.activeLayerId);
+    const layer = this.layers.get(this.drawingStack.pop());
     if (layer) {
       layer.end();
 
@@ -182,16 +996,120 @@ export class LayerSystem {
         this.ui.scheduleThumbnailUpdate(layer.id, { needsCapture: true });
       }
     }
+  }
+
+  /**
+   * Ends every layer still being drawn to, reporting them as an error
+   * @param {string} action - What is about to happen, for the error message
+   * @private
+   */
+  _endOpenLayers(action) {
+    if (this.drawingStack.length === 0) {
+      return;
+    }
+    const names = this.drawingStack.map(id => {
+      const layer = this.layers.get(id);
+      return layer ? layer.name : id;
+    });
+    console.error(`${action} while layers are still being drawn to: ${names.join(' > ')}. ` +
+      'Each begin() needs a matching end(); ending them now.');
+    while (this.drawingStack.length > 0) {
+      this.end();
+    }
+  }
+
+  /**
+   * Draws to a layer inside a callback. The layer is ended even if the callback
+   * throws, so an error cannot leave its framebuffer bound; the error is then
+   * rethrown. Pass an object mapping layer IDs or names to callbacks to draw
+   * several layers in one call, in the order of its keys. Numeric keys are
+   * layer IDs unless a layer is named after them. Note that JavaScript visits
+   * integer keys first, in ascending order.
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, a selector matching
+   *   a single layer (see findLayers()), or an object mapping layers to callbacks
+   * @param {Function} fn - Called with the layer while it is being drawn to
+   *   (omit it and pass the options here when drawing several layers)
+   * @param {Object} [options] - Drawing options
+   * @param {boolean} [options.push=true] - Whether to wrap the callback in push()/pop()
+   * @param {boolean} [options.resetCamera=true] - Whether to reset the camera first; turn it off
+   *   to keep camera changes between calls, e.g. with orbitControl()
+   * @param {string} [options.origin='center'] - 'corner' moves the origin to the top-left corner
+   *   of the layer instead of WEBGL's centered origin
+   * @returns {Layer|Object|null} The layer, or null if it could not be drawn to
+   *   (an object mapping each key to its result when drawing several layers)
+   */
+  draw(layerIdOrName, fn, options = {}) {
+    if (typeof fn !== 'function' && this._isDrawMap(layerIdOrName)) {
+      const results = {};
+      Object.keys(layerIdOrName).forEach(key => {
+        // Object keys are always strings: numeric ones are IDs unless a layer has that name
+        const target = /^\d+$/.test(key) && !this.layerNames.has(key) ? Number(key) : key;
+        results[key] = this.draw(target, layerIdOrName[key], fn || {});
+      });
+      return results;
+    }
+    if (typeof fn !== 'function') {
+      console.error('draw() needs a callback function');
+      return null;
+    }
+    if (options.origin !== undefined && options.origin !== 'center' && options.origin !== 'corner') {
+      console.warn(`Invalid origin: ${options.origin}, using center`);
+    }
+
+    const layer = this._getLayerById(layerIdOrName);
+    const depth = this.drawingStack.length;
+    this.begin(layer ? layer.id : layerIdOrName);
+    if (this.drawingStack.length === depth) {
+      return null;
+    }
+
+    const p = this.p;
+    const { push = true, resetCamera = true, origin = 'center' } = options;
+    if (push) {
+      p.push();
+    }
+    try {
+      if (resetCamera) {
+        p.camera();
+      }
+      if (origin === 'corner') {
+        p.translate(-layer.width / 2, -layer.height / 2);
+      }
+      fn(layer);
+    } finally {
+      // End the layers the callback left open, then this one unless the callback ended it
+      while (this.drawingStack.length > depth + 1) {
+        this.end();
+      }
+      if (push) {
+        p.pop();
+      }
+      if (this.drawingStack.length > depth) {
+        this.end();
+      }
+    }
+    return layer;
+  }
 
-    this.activeLayerId = null;
+  /**
+   * Whether draw() was given an object mapping layers to callbacks
+   * @private
+   */
+  _isDrawMap(value) {
+    return isLayerSelector(value) &&
+      Object.keys(value).length > 0 &&
+      Object.values(value).every(callback => typeof callback === 'function');
   }
 
   /**
    * Shows a layer (makes it visible)
-   * @param {number|string} layerIdOrName - The layer ID or name
-   * @returns {Layer|null} The layer for chaining, or null if not found
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
    */
   show(layerIdOrName) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.show(id));
+    }
     const layer = this._getLayerById(layerIdOrName);
     if (!layer) {
       console.warn(`Layer ${layerIdOrName} not found`);
@@ -202,10 +1120,13 @@ export class LayerSystem {
 
   /**
    * Hides a layer (makes it invisible)
-   * @param {number|string} layerIdOrName - The layer ID or name
-   * @returns {Layer|null} The layer for chaining, or null if not found
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
    */
   hide(layerIdOrName) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.hide(id));
+    }
     const layer = this._getLayerById(layerIdOrName);
     if (!layer) {
       console.warn(`Layer ${layerIdOrName} not found`);
@@ -214,13 +1135,130 @@ export class LayerSystem {
     return layer.hide();
   }
 
+  /**
+   * Solos a layer: until unsolo() is called, render() only shows the soloed
+   * layers, together with the groups containing them and the layers they are
+   * clipped to. Soloed layers are shown even if hidden, and nobody's visible
+   * flag is changed. Call it for several layers to solo them together.
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @returns {Layer|Layer[]|null} The layer, or null if not found (an array of results for selectors)
+   */
+  solo(layerIdOrName) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.solo(id));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    this.soloedLayerIds.add(layer.id);
+    return layer;
+  }
+
+  /**
+   * Stops soloing a layer, or every layer when called without an argument
+   * @param {number|string|Object} [layerIdOrName] - The layer ID or name, or a selector (see findLayers())
+   * @returns {Layer|Layer[]|null} The layer, or null if not found or when unsoloing everything (an array of results for selectors)
+   */
+  unsolo(layerIdOrName) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.unsolo(id));
+    }
+    if (layerIdOrName === undefined) {
+      this.soloedLayerIds.clear();
+      return null;
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    this.soloedLayerIds.delete(layer.id);
+    return layer;
+  }
+
+  /**
+   * Checks whether a layer is soloed
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector matching a single layer (see findLayers())
+   * @returns {boolean}
+   */
+  isSoloed(layerIdOrName) {
+    const layer = this._getLayerById(layerIdOrName);
+    return !!layer && this.soloedLayerIds.has(layer.id);
+  }
+
+  /**
+   * Works out which layers render while soloing
+   * @private
+   * @returns {Map<number, boolean>|null} IDs of the layers to show, mapped to true
+   *   if they are shown even when hidden and false if they keep their own visibility;
+   *   null when nothing is soloed
+   */
+  _getSoloVisibility() {
+    if (this.soloedLayerIds.size === 0) {
+      return null;
+    }
+
+    const visibility = new Map();
+    const keepVisibility = (layer) => {
+      if (!visibility.has(layer.id)) {
+        visibility.set(layer.id, false);
+      }
+      if (layer.isGroup) {
+        layer.children.forEach(keepVisibility);
+      }
+    };
+
+    this.soloedLayerIds.forEach(id => {
+      const layer = this.layers.get(id);
+      if (!layer) {
+        return;
+      }
+      // Children of a soloed group show as they are
+      if (layer.isGroup) {
+        layer.children.forEach(keepVisibility);
+      }
+      // The layer, the groups around it and their clipping bases are needed to see it
+      for (let current = layer; current; current = current.group) {
+        visibility.set(current.id, true);
+        const base = this._getClipBase(current);
+        if (base) {
+          visibility.set(base.id, true);
+        }
+      }
+    });
+    return visibility;
+  }
+
+  /**
+   * Gets the nearest non-clipped sibling below a clipped layer
+   * @private
+   * @returns {Layer|null} The base layer, or null if the layer is not clipped
+   */
+  _getClipBase(layer) {
+    if (!layer.clipping) {
+      return null;
+    }
+    const siblings = this._getSiblings(layer).sort((a, b) => a.zIndex - b.zIndex);
+    for (let i = siblings.indexOf(layer) - 1; i >= 0; i--) {
+      if (!siblings[i].clipping) {
+        return siblings[i];
+      }
+    }
+    return null;
+  }
+
   /**
    * Sets the opacity of a layer
-   * @param {number|string} layerIdOrName - The layer ID or name
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
    * @param {number} opacity - Opacity value between 0 and 1
-   * @returns {Layer|null} The layer for chaining, or null if not found
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
    */
   setOpacity(layerIdOrName, opacity) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.setOpacity(id, opacity));
+    }
     const layer = this._getLayerById(layerIdOrName);
     if (!layer) {
       console.warn(`Layer ${layerIdOrName} not found`);
@@ -229,13 +1267,34 @@ export class LayerSystem {
     return layer.setOpacity(opacity);
   }
 
+  /**
+   * Sets the fill opacity of a layer, which fades its pixels but not its effects
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {number} fillOpacity - Fill opacity between 0 and 1
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  setFillOpacity(layerIdOrName, fillOpacity) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.setFillOpacity(id, fillOpacity));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    return layer.setFillOpacity(fillOpacity);
+  }
+
   /**
    * Sets the blend mode of a layer
-   * @param {number|string} layerIdOrName - The layer ID or name
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
    * @param {string} blendMode - One of the BlendModes constants
-   * @returns {Layer|null} The layer for chaining, or null if not found
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
    */
   setBlendMode(layerIdOrName, blendMode) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.setBlendMode(id, blendMode));
+    }
     const layer = this._getLayerById(layerIdOrName);
     if (!layer) {
       console.warn(`Layer ${layerIdOrName} not found`);
@@ -244,9 +1303,27 @@ export class LayerSystem {
     return layer.setBlendMode(blendMode);
   }
 
+  /**
+   * Sets how a group's children are composited
+   * @param {number|string|Object} groupIdOrName - The group ID or name, or a selector (see findLayers())
+   * @param {string} mode - One of the GroupModes constants
+   * @returns {LayerGroup|LayerGroup[]|null} The group for chaining, or null if not found (an array of results for selectors)
+   */
+  setGroupMode(groupIdOrName, mode) {
+    if (isLayerSelector(groupIdOrName)) {
+      return this._forEachMatch(groupIdOrName, id => this.setGroupMode(id, mode));
+    }
+    const group = this._getLayerById(groupIdOrName);
+    if (!group || !group.isGroup) {
+      console.warn(`Group ${groupIdOrName} not found`);
+      return null;
+    }
+    return group.setMode(mode);
+  }
+
   /**
    * Sets the z-index of a layer
-   * @param {number|string} layerIdOrName - The layer ID or name
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector matching a single layer (see findLayers())
    * @param {number} zIndex - The new z-index (higher = on top)
    * @returns {Layer|null} The layer for chaining, or null if not found
    */
@@ -261,11 +1338,14 @@ export class LayerSystem {
 
   /**
    * Moves a layer by a relative amount in the stack
-   * @param {number|string} layerIdOrName - The layer ID or name
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
    * @param {number} delta - The amount to move (positive = forward, negative = backward)
-   * @returns {Layer|null} The layer for chaining, or null if not found
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
    */
   moveLayer(layerIdOrName, delta) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.moveLayer(id, delta));
+    }
     const layer = this._getLayerById(layerIdOrName);
     if (!layer) {
       console.warn(`Layer ${layerIdOrName} not found`);
@@ -285,13 +1365,106 @@ export class LayerSystem {
     });
   }
 
+  /**
+   * Clips a layer to the alpha of the nearest non-clipped layer below it.
+   * Consecutive clipped layers share the same base layer.
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  clipToBelow(layerIdOrName) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.clipToBelow(id));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    return layer.setClipping(true);
+  }
+
+  /**
+   * Stops clipping a layer to the layer below it
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  releaseClipping(layerIdOrName) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.releaseClipping(id));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    return layer.setClipping(false);
+  }
+
+  /**
+   * Hides the parts of a layer that are behind 3D content on the layers below it
+   * (see Layer.setDepthTest())
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {boolean} enabled - Whether to test against the depth of the layers below
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  setDepthTest(layerIdOrName, enabled = true) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.setDepthTest(id, enabled));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    return layer.setDepthTest(enabled);
+  }
+
+  /**
+   * Sets how a layer's pixels are sampled when composited (see Layer.setFiltering())
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {string} filtering - One of the TextureFiltering constants
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  setFiltering(layerIdOrName, filtering) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.setFiltering(id, filtering));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    return layer.setFiltering(filtering);
+  }
+
+  /**
+   * Composites a layer at a whole multiple of its size (see Layer.setIntegerScale())
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @param {boolean} enabled - Whether to use integer scaling
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
+   */
+  setIntegerScale(layerIdOrName, enabled = true) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.setIntegerScale(id, enabled));
+    }
+    const layer = this._getLayerById(layerIdOrName);
+    if (!layer) {
+      console.warn(`Layer ${layerIdOrName} not found`);
+      return null;
+    }
+    return layer.setIntegerScale(enabled);
+  }
+
   /**
    * Attaches a mask to a layer
-   * @param {number|string} layerIdOrName - The layer ID or name
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
    * @param {p5.Framebuffer|p5.Image} maskSource - The mask to apply
-   * @returns {Layer|null} The layer for chaining, or null if not found
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
    */
   setMask(layerIdOrName, maskSource) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.setMask(id, maskSource));
+    }
     const layer = this._getLayerById(layerIdOrName);
     if (!layer) {
       console.warn(`Layer ${layerIdOrName} not found`);
@@ -302,10 +1475,13 @@ export class LayerSystem {
 
   /**
    * Removes the mask from a layer
-   * @param {number|string} layerIdOrName - The layer ID or name
-   * @returns {Layer|null} The layer for chaining, or null if not found
+   * @param {number|string|Object} layerIdOrName - The layer ID or name, or a selector (see findLayers())
+   * @returns {Layer|Layer[]|null} The layer for chaining, or null if not found (an array of results for selectors)
    */
   clearMask(layerIdOrName) {
+    if (isLayerSelector(layerIdOrName)) {
+      return this._forEachMatch(layerIdOrName, id => this.clearMask(id));
+    }
     const layer = this._getLayerById(layerIdOrName);
     if (!layer) {
       console.warn(`Layer ${layerIdOrName} not found`);
@@ -319,13 +1495,18 @@ export class LayerSystem {
    * @param {Function} clearCallback - Optional callback to clear the canvas before rendering
    */
   render(clearCallback = null) {
+    // Compositing inside an open layer would draw into its framebuffer
+    this._endOpenLayers('render() called');
+
     // Check for canvas resize
     if (this.autoResize) {
       this._checkResize();
     }
 
-    const layers = this.getLayers();
-    this.compositor.render(layers, clearCallback);
+    // Groups composite their own children, so only pass the root of the tree
+    this.compositor.render(this._getRootLayers(), clearCallback, {
+      solo: this._getSoloVisibility()
+    });
 
     // Sync UI state if UI exists
     if (this.ui) {
@@ -357,7 +1538,7 @@ export class LayerSystem {
     // Resize all canvas-synced layers
     for (const layer of this.layers.values()) {
       if (!layer.customSize) {
-        layer.resize(currentWidth, currentHeight, currentDensity);
+        layer.resize(currentWidth, currentHeight, currentDensity, this.autoResizeOptions);
       }
     }
   }
@@ -365,9 +1546,55 @@ export class LayerSystem {
   /**
    * Enables or disables automatic layer resizing when canvas size changes
    * @param {boolean} enabled - Whether to enable auto-resize
+   * @param {Object} [options] - What happens to the content of resized layers (see Layer.resize())
+   * @param {string} [options.mode] - One of the ResizeModes constants (default: DISCARD)
+   * @param {string} [options.anchor] - One of the ResizeAnchors constants, for ANCHOR mode (default: CENTER)
    */
-  setAutoResize(enabled) {
+  setAutoResize(enabled, options = {}) {
     this.autoResize = !!enabled;
+    this.autoResizeOptions = resolveResizeOptions(options);
+  }
+
+  /**
+   * Enables or disables HDR compositing. Layers are then composited in float
+   * buffers, so additive blends and bright float layers (see the format layer
+   * option) can go beyond white, and the result is tone mapped when it is
+   * drawn to the canvas. Options are merged with the current ones, so the
+   * exposure can be changed on its own.
+   * Only the blend modes in HDR_BLEND_MODES (NORMAL, MULTIPLY, ADD, SUBTRACT,
+   * DARKEN, LIGHTEN and DIFFERENCE) work on values above 1.0. The others blend
+   * the 0-1 part of the backdrop, keep its excess and clip the layer to 1.
+   * @param {boolean} enabled - Whether to composite in HDR
+   * @param {Object} [options] - HDR options
+   * @param {string} [options.format] - BufferFormats.HALF_FLOAT or FLOAT (default: HALF_FLOAT)
+   * @param {string} [options.toneMapping] - One of the ToneMappingOperators constants (default: ACES)
+   * @param {number} [options.exposure] - Exposure in stops, applied before tone mapping (default: 0)
+   * @returns {Object|null} The HDR settings in effect, or null if HDR is off or not supported
+   */
+  setHDR(enabled, options = {}) {
+    const settings = { ...this.hdrOptions, ...options };
+    if (settings.format !== BufferFormats.HALF_FLOAT && settings.format !== BufferFormats.FLOAT) {
+      console.warn(`Invalid HDR format: ${settings.format}, using ${this.hdrOptions.format}`);
+      settings.format = this.hdrOptions.format;
+    }
+    if (!Object.values(ToneMappingOperators).includes(settings.toneMapping)) {
+      console.warn(`Invalid tone mapping: ${settings.toneMapping}, using ${this.hdrOptions.toneMapping}`);
+      settings.toneMapping = this.hdrOptions.toneMapping;
+    }
+    if (!Number.isFinite(settings.exposure)) {
+      console.warn(`Invalid exposure: ${settings.exposure}, using ${this.hdrOptions.exposure}`);
+      settings.exposure = this.hdrOptions.exposure;
+    }
+    this.hdrOptions = settings;
+
+    const format = enabled ? resolveBufferFormat(this.p, settings.format) : BufferFormats.UNSIGNED_BYTE;
+    if (enabled && format === BufferFormats.UNSIGNED_BYTE) {
+      console.warn('HDR compositing is not supported by this browser, compositing in 8 bits');
+    }
+    this.hdr = format !== BufferFormats.UNSIGNED_BYTE;
+    const hdrSettings = this.hdr ? { ...settings, format } : null;
+    this.compositor.setHDR(hdrSettings);
+    return hdrSettings;
   }
 
   /**
@@ -399,8 +1626,8 @@ export class LayerSystem {
    * Disposes of all layers and resources
    */
   dispose() {
-    // End active layer if any
-    if (this.activeLayerId !== null) {
+    // End any layers still being drawn to
+    while (this.drawingStack.length > 0) {
       this.end();
     }
 
@@ -1,4 +1,5 @@
-import { BlendModes } from './constants.js';
+import { BlendModes, BufferFormats, GroupModes, ADJUSTMENT_PARAMS, FILL_PARAMS } from './constants.js';
+import { parseColor } from './utils/adjustments.js';
 import { computeAlphaBounds, mergeBounds, padBounds } from './utils/alphaBounds.js';
 
 /**
@@ -48,9 +49,6 @@ export class LayerUI {
     if (this._thumbnailScratchCtx) {
       this._thumbnailScratchCtx.imageSmoothingEnabled = false;
     }
-    // Lazy-initialized WEBGL buffer for GPU-to-GPU downsampling
-    this._downsampleBuffer = null;
-
     this._checkerPatternCanvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
     this._checkerPatternCache = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
     if (this._checkerPatternCanvas) {
@@ -311,14 +309,15 @@ export class LayerUI {
         checkbox.checked = layer.visible;
       }
 
-      // Update opacity slider and value
-      const opacitySlider = layerEl.querySelector('.p5ml-opacity-slider');
-      const opacityValue = layerEl.querySelector('.p5ml-opacity-value');
-      if (opacitySlider && opacityValue) {
-        const opacityPercent = Math.round(layer.opacity * 100);
-        opacitySlider.value = opacityPercent;
-        opacityValue.textContent = opacityPercent + '%';
-      }
+      // Update opacity and fill opacity sliders and values
+      layerEl.querySelectorAll('.p5ml-opacity-slider[data-property]').forEach(slider => {
+        const percent = Math.round(layer[slider.dataset.property] * 100);
+        slider.value = percent;
+        const value = slider.parentElement.querySelector('.p5ml-opacity-value');
+        if (value) {
+          value.textContent = percent + '%';
+        }
+      });
 
       // Update blend mode select and indicator
       const blendSelect = layerEl.querySelector('.p5ml-blend-select');
@@ -330,8 +329,50 @@ export class LayerUI {
         blendIndicator.textContent = this._getBlendModeLetter(layer.blendMode);
         blendIndicator.title = `Blend Mode: ${layer.blendMode}`;
       }
+
+      // Update layer name
+      const nameSpan = layerEl.querySelector('.p5ml-layer-name');
+      if (nameSpan) {
+        nameSpan.textContent = layer.displayName;
+      }
+
+      // Flag shader layers that failed to compile
+      this._updateErrorState(layerEl, layer);
+
+      // Update adjustment and fill parameters (skipping a field that is being edited
+      // or that holds invalid text the user still has to fix)
+      layerEl.querySelectorAll('.p5ml-adjustment-slider, .p5ml-adjustment-input').forEach(control => {
+        const key = control.dataset.param;
+        if (document.activeElement === control || control.classList.contains('p5ml-invalid')) return;
+        if (control.type === 'range') {
+          control.value = layer.params[key];
+          const value = control.parentElement.querySelector('.p5ml-opacity-value');
+          if (value) {
+            value.textContent = this._formatParamValue(layer.params[key]);
+          }
+        } else {
+          control.value = this._formatParamInput(key, layer.params[key]);
+        }
+      });
+
+      // Update lock icon and disabled controls
+      this._updateLockState(layerEl, layer);
+
+      // Update clipping indicator
+      const clipIndicator = layerEl.querySelector('.p5ml-clip-indicator');
+      if (clipIndicator) {
+        clipIndicator.style.display = layer.clipping ? '' : 'none';
+      }
+
+      // Update group mode select
+      const groupModeSelect = layerEl.querySelector('.p5ml-group-mode-select');
+      if (groupModeSelect) {
+        groupModeSelect.value = layer.mode;
+      }
     });
 
+    this._updateSoloState();
+
     // Thumbnails are only updated when clicked (not automatically)
   }
 
@@ -555,7 +596,7 @@ export class LayerUI {
 
     const cropAmount = this._getCropAmount(sourceCanvas, drawBounds);
     this._drawCheckerboard(ctx, canvas.width, canvas.height, cropAmount);
-    this._drawThumbnailImage(ctx, canvas, sourceCanvas, drawBounds);
+    this._drawThumbnailImage(ctx, canvas, sourceCanvas, drawBounds, { integerScale: layer.integerScale });
   }
 
   _getOrCreateThumbnailCacheEntry(layerId) {
@@ -573,99 +614,49 @@ export class LayerUI {
   }
 
   /**
-   * Lazily initializes a framebuffer for GPU-to-GPU downsampling.
-   * Uses p5.Framebuffer to stay in the same WebGL context as source framebuffers.
+   * Captures the layer's pixels for its thumbnail. The readback goes through
+   * layer.loadPixels(), so it is shared with sketches reading the same pixels
+   * and only repeated once the layer is drawn to again.
    * @private
    */
-  _getDownsampleBuffer(width, height) {
-    const p = this.layerSystem.p;
-    if (!p || typeof p.createFramebuffer !== 'function') {
+  _captureLayerImage(layer) {
+    if (!layer.framebuffer) {
       return null;
     }
-
-    // Create or resize the buffer as needed
-    if (!this._downsampleBuffer) {
-      try {
-        this._downsampleBuffer = p.createFramebuffer({
-          width,
-          height,
-          density: 1,
-          depthFormat: p.UNSIGNED_INT,
-          textureFiltering: p.LINEAR
-        });
-      } catch (e) {
-        console.debug('Could not create downsample framebuffer:', e);
-        return null;
-      }
-    } else if (this._downsampleBuffer.width !== width || this._downsampleBuffer.height !== height) {
-      this._downsampleBuffer.resize(width, height);
-    }
-
-    return this._downsampleBuffer;
+    layer.loadPixels();
+    return this._imageFromLoadedPixels(layer);
   }
 
   /**
-   * Captures a downsampled image from a framebuffer using GPU-to-GPU copy.
-   * This avoids reading the full framebuffer, reducing readback from ~8MB to ~150KB.
+   * Copies the pixels loaded with layer.loadPixels() into a canvas
    * @private
    */
-  _captureLayerImage(layer) {
-    const source = layer.framebuffer;
-    if (!source) {
+  _imageFromLoadedPixels(layer) {
+    if (typeof document === 'undefined' || !layer.pixelsLoaded) {
       return null;
     }
 
-    const p = this.layerSystem.p;
-    if (!p) {
+    const width = Math.round(layer.width * layer.density);
+    const height = Math.round(layer.height * layer.density);
+    if (!layer.pixels || layer.pixels.length !== width * height * 4) {
       return null;
     }
 
-    // Calculate downsampled dimensions
-    const maxSize = Math.max(1, this.options.thumbnailSampleMaxSize);
-    const sourceWidth = source.width || p.width;
-    const sourceHeight = source.height || p.height;
-    const largestSide = Math.max(sourceWidth, sourceHeight);
-    const scale = largestSide > maxSize ? maxSize / largestSide : 1;
-    const sampleWidth = Math.max(1, Math.round(sourceWidth * scale));
-    const sampleHeight = Math.max(1, Math.round(sourceHeight * scale));
-
-    try {
-      const buffer = this._getDownsampleBuffer(sampleWidth, sampleHeight);
-      if (!buffer) {
-        // Fallback to direct get() if buffer creation failed
-        if (typeof source.get === 'function') {
-          return source.get();
-        }
-        return null;
-      }
-
-      // GPU-to-GPU copy: render source framebuffer to small buffer
-      buffer.begin();
-      p.clear();
-      p.push();
-      p.imageMode(p.CORNER);
-      // Translate to top-left corner (WEBGL origin is center)
-      p.translate(-sampleWidth / 2, -sampleHeight / 2);
-      p.image(source, 0, 0, sampleWidth, sampleHeight);
-      p.pop();
-      buffer.end();
-
-      // Small readback: only ~150KB instead of ~8MB
-      const result = buffer.get();
-
-      // Store original dimensions for bounds scaling
-      result._originalWidth = sourceWidth;
-      result._originalHeight = sourceHeight;
-
-      return result;
-    } catch (e) {
-      console.debug('Could not capture downsampled thumbnail:', e);
-      // Fallback to direct get()
-      if (typeof source.get === 'function') {
-        return source.get();
-      }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx || typeof ctx.createImageData !== 'function') {
       return null;
     }
+
+    const imageData = ctx.createImageData(width, height);
+    // Float pixels are scaled to 8 bits; the clamped array clips HDR values
+    imageData.data.set(layer.format === BufferFormats.UNSIGNED_BYTE
+      ? layer.pixels
+      : layer.pixels.map(value => value * 255));
+    ctx.putImageData(imageData, 0, 0);
+    return { canvas };
   }
 
   _calculateBoundsFromCanvas(sourceCanvas) {
@@ -803,16 +794,20 @@ export class LayerUI {
     return 1 - visibleFraction;
   }
 
-  _drawThumbnailImage(ctx, targetCanvas, sourceCanvas, bounds) {
+  _drawThumbnailImage(ctx, targetCanvas, sourceCanvas, bounds, options = {}) {
     if (!bounds || bounds.width <= 0 || bounds.height <= 0) {
       return;
     }
 
     // Always fit the cropped region into the thumbnail while preserving aspect
-    const scale = Math.min(
+    let scale = Math.min(
       targetCanvas.width / bounds.width,
       targetCanvas.height / bounds.height
     );
+    // Integer-scaled layers are enlarged by whole pixels, like on the canvas
+    if (options.integerScale && scale >= 1) {
+      scale = Math.floor(scale);
+    }
 
     const destWidth = Math.max(1, bounds.width * scale);
     const destHeight = Math.max(1, bounds.height * scale);
@@ -842,6 +837,11 @@ export class LayerUI {
   _createLayerElement(layer) {
     const layerEl = document.createElement('div');
     layerEl.className = 'p5ml-layer-item';
+    if (layer.isGroup) {
+      layerEl.classList.add('p5ml-group-item');
+    } else if (layer.isAdjustment) {
+      layerEl.classList.add('p5ml-adjustment-item');
+    }
     layerEl.dataset.layerId = layer.id;
 
     // Add click handler to select layer and update thumbnail
@@ -864,15 +864,41 @@ export class LayerUI {
     const layerRow = document.createElement('div');
     layerRow.className = 'p5ml-layer-row';
 
-    // Left: Thumbnail
-    const thumbnail = this._createThumbnail();
+    // Indent layers nested inside groups
+    const nestingLevel = this._getNestingLevel(layer);
+    if (nestingLevel > 0) {
+      layerRow.style.paddingLeft = `${12 + nestingLevel * 16}px`;
+    }
+
+    // Clipping indicator (shown for layers clipped to the layer below)
+    const clipIndicator = document.createElement('span');
+    clipIndicator.className = 'p5ml-clip-indicator';
+    clipIndicator.textContent = '↳';
+    clipIndicator.title = 'Clipped to the layer below';
+    clipIndicator.style.display = layer.clipping ? '' : 'none';
+    layerRow.appendChild(clipIndicator);
+
+    // Left: Thumbnail (groups and adjustments have no pixels of their own, so show an icon)
+    let thumbnail;
+    if (layer.isGroup) {
+      thumbnail = this._createIcon('p5ml-group-icon', '📁');
+    } else if (layer.isAdjustment) {
+      thumbnail = this._createIcon('p5ml-adjustment-icon', '◐');
+    } else {
+      thumbnail = this._createThumbnail();
+    }
     thumbnail.className = 'p5ml-layer-thumbnail';
     layerRow.appendChild(thumbnail);
 
     // Center: Layer name
     const nameSpan = document.createElement('span');
     nameSpan.className = 'p5ml-layer-name';
-    nameSpan.textContent = layer.name;
+    nameSpan.textContent = layer.displayName;
+    nameSpan.title = 'Double-click to rename';
+    nameSpan.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      this._startRename(layer, nameSpan);
+    }, { signal });
     layerRow.appendChild(nameSpan);
 
     // Right side controls container
@@ -896,12 +922,25 @@ export class LayerUI {
       dropdown.style.display = isExpanded ? 'none' : 'block';
     }, { signal });
 
+    // Lock toggle (locks pixels and properties, click again to unlock everything)
+    const lockToggle = document.createElement('button');
+    lockToggle.className = 'p5ml-lock-toggle';
+    lockToggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (layer.isLocked()) {
+        this.layerSystem.unlockLayer(layer.id);
+      } else {
+        this.layerSystem.lockLayer(layer.id);
+      }
+      this._updateLockState(layerEl, layer);
+    }, { signal });
+
     // Visibility checkbox
     const visibilityCheckbox = document.createElement('input');
     visibilityCheckbox.type = 'checkbox';
     visibilityCheckbox.className = 'p5ml-visibility-checkbox';
     visibilityCheckbox.checked = layer.visible;
-    visibilityCheckbox.title = 'Toggle visibility';
+    visibilityCheckbox.title = 'Toggle visibility (Alt-click to solo, Alt+Shift-click to solo several)';
     visibilityCheckbox.addEventListener('change', (e) => {
       e.stopPropagation();
       if (e.target.checked) {
@@ -910,7 +949,15 @@ export class LayerUI {
         this.layerSystem.hide(layer.id);
       }
     }, { signal });
+    visibilityCheckbox.addEventListener('click', (e) => {
+      if (!e.altKey) return;
+      // Soloing leaves the visibility flag alone, so keep the checkbox as it is
+      e.preventDefault();
+      e.stopPropagation();
+      this._toggleSolo(layer.id, e.shiftKey);
+    }, { signal });
 
+    rightControls.appendChild(lockToggle);
     rightControls.appendChild(blendIndicator);
     rightControls.appendChild(visibilityCheckbox);
     layerRow.appendChild(rightControls);
@@ -921,32 +968,7 @@ export class LayerUI {
     dropdown.style.display = 'none';
 
     // Opacity control
-    const opacityGroup = document.createElement('div');
-    opacityGroup.className = 'p5ml-control-group';
-
-    const opacityLabel = document.createElement('label');
-    opacityLabel.textContent = 'OPACITY';
-
-    const opacityValue = document.createElement('span');
-    opacityValue.className = 'p5ml-opacity-value';
-    opacityValue.textContent = Math.round(layer.opacity * 100) + '%';
-
-    const opacitySlider = document.createElement('input');
-    opacitySlider.type = 'range';
-    opacitySlider.min = '0';
-    opacitySlider.max = '100';
-    opacitySlider.value = Math.round(layer.opacity * 100);
-    opacitySlider.className = 'p5ml-opacity-slider';
-    opacitySlider.addEventListener('input', (e) => {
-      e.stopPropagation();
-      const value = parseFloat(e.target.value) / 100;
-      this.layerSystem.setOpacity(layer.id, value);
-      opacityValue.textContent = e.target.value + '%';
-    }, { signal });
-
-    opacityGroup.appendChild(opacityLabel);
-    opacityGroup.appendChild(opacityValue);
-    opacityGroup.appendChild(opacitySlider);
+    const opacityGroup = this._createOpacityControl(layer, 'opacity', 'OPACITY');
 
     // Blend mode control
     const blendGroup = document.createElement('div');
@@ -977,15 +999,401 @@ export class LayerUI {
     blendGroup.appendChild(blendSelect);
 
     dropdown.appendChild(opacityGroup);
-    dropdown.appendChild(blendGroup);
+    // Fill opacity fades the layer's pixels but not its effects
+    if (layer.usesFramebuffer) {
+      dropdown.appendChild(this._createOpacityControl(layer, 'fillOpacity', 'FILL'));
+    }
+    // Adjustments recolor the backdrop directly, so blend modes do not apply to them
+    if (!layer.isAdjustment) {
+      dropdown.appendChild(blendGroup);
+    }
+
+    // Group mode control (groups only)
+    if (layer.isGroup) {
+      const modeGroup = document.createElement('div');
+      modeGroup.className = 'p5ml-control-group';
+
+      const modeLabel = document.createElement('label');
+      modeLabel.textContent = 'GROUP MODE';
+
+      const modeSelect = document.createElement('select');
+      modeSelect.className = 'p5ml-blend-select p5ml-group-mode-select';
+
+      Object.values(GroupModes).forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = this._formatBlendModeName(mode);
+        option.selected = layer.mode === mode;
+        modeSelect.appendChild(option);
+      });
+
+      modeSelect.addEventListener('change', (e) => {
+        e.stopPropagation();
+        this.layerSystem.setGroupMode(layer.id, e.target.value);
+      }, { signal });
+
+      modeGroup.appendChild(modeLabel);
+      modeGroup.appendChild(modeSelect);
+      dropdown.appendChild(modeGroup);
+    }
+
+    // Parameter controls (adjustment and fill layers)
+    this._createParamControls(layer).forEach(control => dropdown.appendChild(control));
 
     // Assemble layer element
     layerEl.appendChild(layerRow);
     layerEl.appendChild(dropdown);
 
+    this._updateLockState(layerEl, layer);
+    this._updateErrorState(layerEl, layer);
+
     return layerEl;
   }
 
+  /**
+   * Creates a percentage slider for the opacity or fill opacity of a layer
+   * @param {Layer} layer - The layer
+   * @param {string} property - 'opacity' or 'fillOpacity'
+   * @param {string} labelText - The label shown above the slider
+   * @private
+   */
+  _createOpacityControl(layer, property, labelText) {
+    const signal = this.layerSystem.p._removeSignal;
+    const setters = { opacity: 'setOpacity', fillOpacity: 'setFillOpacity' };
+
+    const group = document.createElement('div');
+    group.className = 'p5ml-control-group';
+
+    const label = document.createElement('label');
+    label.textContent = labelText;
+
+    const value = document.createElement('span');
+    value.className = 'p5ml-opacity-value';
+    value.textContent = Math.round(layer[property] * 100) + '%';
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = '100';
+    slider.value = Math.round(layer[property] * 100);
+    slider.className = 'p5ml-opacity-slider';
+    slider.dataset.property = property;
+    slider.addEventListener('input', (e) => {
+      e.stopPropagation();
+      this.layerSystem[setters[property]](layer.id, parseFloat(e.target.value) / 100);
+      value.textContent = e.target.value + '%';
+    }, { signal });
+
+    group.appendChild(label);
+    group.appendChild(value);
+    group.appendChild(slider);
+    return group;
+  }
+
+  /**
+   * Gets the parameter spec of an adjustment or fill layer
+   * @private
+   * @returns {Object|null} The spec, or null for layers without parameters
+   */
+  _getParamSpec(layer) {
+    if (layer.isAdjustment) {
+      return ADJUSTMENT_PARAMS[layer.adjustmentType] || {};
+    }
+    if (layer.fillType) {
+      return FILL_PARAMS[layer.fillType] || {};
+    }
+    return null;
+  }
+
+  /**
+   * Updates the parameters of an adjustment or fill layer through the LayerSystem
+   * @private
+   */
+  _setLayerParams(layer, params) {
+    if (layer.isAdjustment) {
+      this.layerSystem.setAdjustmentParams(layer.id, params);
+    } else {
+      this.layerSystem.setFillParams(layer.id, params);
+    }
+  }
+
+  /**
+   * Creates one control per adjustment or fill parameter: sliders for numbers,
+   * selects for choices, color pickers for colors and text fields for curve
+   * points ("x,y x,y") and gradient stops ("position:#rrggbb")
+   * @private
+   */
+  _createParamControls(layer) {
+    const signal = this.layerSystem.p._removeSignal;
+    const spec = this._getParamSpec(layer);
+    if (!spec) {
+      return [];
+    }
+
+    return Object.keys(spec).map(key => {
+      const group = document.createElement('div');
+      group.className = 'p5ml-control-group';
+
+      const label = document.createElement('label');
+      label.textContent = this._formatParamName(key);
+      group.appendChild(label);
+
+      if (typeof spec[key].default === 'number') {
+        const value = document.createElement('span');
+        value.className = 'p5ml-opacity-value';
+        value.textContent = this._formatParamValue(layer.params[key]);
+        label.appendChild(value);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = spec[key].min;
+        slider.max = spec[key].max;
+        slider.step = spec[key].step;
+        slider.value = layer.params[key];
+        slider.className = 'p5ml-adjustment-slider';
+        slider.dataset.param = key;
+        slider.addEventListener('input', (e) => {
+          e.stopPropagation();
+          this._setLayerParams(layer, { [key]: parseFloat(e.target.value) });
+          value.textContent = this._formatParamValue(layer.params[key]);
+        }, { signal });
+        group.appendChild(slider);
+        return group;
+      }
+
+      let input;
+      if (spec[key].options) {
+        input = document.createElement('select');
+        input.className = 'p5ml-blend-select p5ml-adjustment-input';
+        spec[key].options.forEach(optionValue => {
+          const option = document.createElement('option');
+          option.value = optionValue;
+          option.textContent = optionValue.toUpperCase();
+          input.appendChild(option);
+        });
+      } else {
+        input = document.createElement('input');
+        input.type = typeof spec[key].default === 'string' ? 'color' : 'text';
+        input.className = 'p5ml-adjustment-input';
+      }
+      input.dataset.param = key;
+      input.value = this._formatParamInput(key, layer.params[key]);
+      input.addEventListener('change', (e) => {
+        e.stopPropagation();
+        const parsed = Array.isArray(spec[key].default)
+          ? this._parseArrayParam(key, e.target.value)
+          : e.target.value;
+        // Invalid text stays in the field, flagged in the layer row, until it is fixed
+        e.target.classList.toggle('p5ml-invalid', !parsed);
+        e.target.title = parsed ? '' : `Invalid ${this._formatParamName(key).toLowerCase()}: ${e.target.value}`;
+        if (parsed) {
+          this._setLayerParams(layer, { [key]: parsed });
+          e.target.value = this._formatParamInput(key, layer.params[key]);
+        }
+        const layerEl = e.target.closest('.p5ml-layer-item');
+        if (layerEl) {
+          this._updateErrorState(layerEl, layer);
+        }
+      }, { signal });
+      input.addEventListener('keydown', (e) => e.stopPropagation(), { signal });
+      group.appendChild(input);
+
+      return group;
+    });
+  }
+
+  /**
+   * Formats a parameter key for display ("inputBlack" -> "INPUT BLACK")
+   * @private
+   */
+  _formatParamName(key) {
+    return key.replace(/([A-Z])/g, ' $1').toUpperCase();
+  }
+
+  /**
+   * Formats a numeric parameter value for display
+   * @private
+   */
+  _formatParamValue(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  }
+
+  /**
+   * Formats a color as '#rrggbb'
+   * @private
+   */
+  _formatColor(color) {
+    const rgb = parseColor(color) || [0, 0, 0];
+    return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Formats a non-numeric parameter for its input: colors as '#rrggbb',
+   * choices as-is and arrays as editable text
+   * @private
+   */
+  _formatParamInput(key, value) {
+    if (Array.isArray(value) && typeof value[0] !== 'number') {
+      return this._formatArrayParam(key, value);
+    }
+    if (typeof value === 'string' && parseColor(value)) {
+      return this._formatColor(value);
+    }
+    return Array.isArray(value) ? this._formatColor(value) : value;
+  }
+
+  /**
+   * Formats curve points or gradient stops as editable text
+   * @private
+   */
+  _formatArrayParam(key, value) {
+    if (key === 'stops') {
+      return value.map(stop => `${stop.position}:${this._formatColor(stop.color)}`).join(' ');
+    }
+    return value.map(point => point.join(',')).join(' ');
+  }
+
+  /**
+   * Parses text entered for curve points or gradient stops
+   * @private
+   * @returns {Array|null} The parsed value, or null if the text is invalid
+   */
+  _parseArrayParam(key, text) {
+    const entries = text.trim().split(/\s+/).filter(Boolean);
+    if (entries.length === 0) {
+      return null;
+    }
+
+    if (key === 'stops') {
+      const stops = entries.map(entry => {
+        const [position, color] = entry.split(':');
+        return { position: parseFloat(position), color };
+      });
+      return stops.every(stop => Number.isFinite(stop.position) && parseColor(stop.color)) ? stops : null;
+    }
+
+    const points = entries.map(entry => entry.split(',').map(parseFloat));
+    return points.every(point => point.length === 2 && point.every(Number.isFinite)) ? points : null;
+  }
+
+  /**
+   * Solos a layer on Alt-click, like Photoshop: a second Alt-click on the only
+   * soloed layer shows everything again. With additive (Alt+Shift-click) the
+   * layer is added to or removed from the soloed layers instead.
+   * @private
+   */
+  _toggleSolo(layerId, additive = false) {
+    const system = this.layerSystem;
+    if (additive) {
+      if (system.isSoloed(layerId)) {
+        system.unsolo(layerId);
+      } else {
+        system.solo(layerId);
+      }
+    } else if (system.isSoloed(layerId) && system.soloedLayerIds.size === 1) {
+      system.unsolo();
+    } else {
+      system.unsolo();
+      system.solo(layerId);
+    }
+    this._updateSoloState();
+  }
+
+  /**
+   * Highlights soloed layers and dims the layers that solo hides
+   * @private
+   */
+  _updateSoloState() {
+    const solo = this.layerSystem._getSoloVisibility();
+    this.layerElements.forEach((layerEl, layerId) => {
+      layerEl.classList.toggle('p5ml-soloed', this.layerSystem.isSoloed(layerId));
+      layerEl.classList.toggle('p5ml-muted', !!solo && !solo.has(layerId));
+    });
+  }
+
+  /**
+   * Shows a layer's error (e.g. a shader compile error or an invalid parameter) in its row
+   * @private
+   */
+  _updateErrorState(layerEl, layer) {
+    const invalidInput = layerEl.querySelector('.p5ml-adjustment-input.p5ml-invalid');
+    const error = layer.error || (invalidInput ? invalidInput.title : null);
+    layerEl.classList.toggle('p5ml-error', !!error);
+
+    const nameSpan = layerEl.querySelector('.p5ml-layer-name');
+    if (nameSpan) {
+      nameSpan.title = error ? `Error: ${error}` : 'Double-click to rename';
+    }
+  }
+
+  /**
+   * Reflects a layer's locks in its row: lock icon, tooltip and disabled property controls
+   * @private
+   */
+  _updateLockState(layerEl, layer) {
+    const locked = layer.isLocked();
+    const activeLocks = Object.keys(layer.locks).filter(key => layer.locks[key]);
+
+    layerEl.classList.toggle('p5ml-locked', locked);
+
+    const lockToggle = layerEl.querySelector('.p5ml-lock-toggle');
+    if (lockToggle) {
+      lockToggle.textContent = locked ? '🔒' : '🔓';
+      lockToggle.title = locked ? `Locked: ${activeLocks.join(', ')} (click to unlock)` : 'Lock layer';
+    }
+
+    const propertyControls = '.p5ml-opacity-slider, .p5ml-blend-select, .p5ml-adjustment-slider, .p5ml-adjustment-input';
+    layerEl.querySelectorAll(propertyControls).forEach(control => {
+      control.disabled = layer.locks.properties;
+    });
+  }
+
+  /**
+   * Replaces a layer's name label with a text input. Enter or blur commits the
+   * new name through LayerSystem.renameLayer, Escape cancels.
+   * @private
+   */
+  _startRename(layer, nameSpan) {
+    if (nameSpan.style.display === 'none') {
+      return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'p5ml-rename-input';
+    input.value = layer.displayName;
+
+    const signal = this.layerSystem.p._removeSignal;
+    let finished = false;
+    const finish = (commit) => {
+      if (finished) return;
+      finished = true;
+
+      if (commit && input.value.trim() && input.value.trim() !== layer.displayName) {
+        this.layerSystem.renameLayer(layer.id, input.value);
+      }
+      input.remove();
+      nameSpan.textContent = layer.displayName;
+      nameSpan.style.display = '';
+    };
+
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        finish(true);
+      } else if (e.key === 'Escape') {
+        finish(false);
+      }
+    }, { signal });
+    input.addEventListener('blur', () => finish(true), { signal });
+    input.addEventListener('click', (e) => e.stopPropagation(), { signal });
+
+    nameSpan.style.display = 'none';
+    nameSpan.after(input);
+    input.focus();
+    input.select();
+  }
+
   /**
    * Gets a single letter representing the blend mode
    * @private
@@ -1021,6 +1429,37 @@ export class LayerUI {
       .join(' ');
   }
 
+  /**
+   * Counts how many groups a layer is nested inside
+   * @private
+   */
+  _getNestingLevel(layer) {
+    let level = 0;
+    let parent = layer.group;
+    while (parent) {
+      level++;
+      parent = parent.group;
+    }
+    return level;
+  }
+
+  /**
+   * Creates the icon shown in place of a thumbnail for layers without pixels
+   * (a folder for groups, a half-filled circle for adjustments)
+   * @private
+   */
+  _createIcon(className, symbol) {
+    const container = document.createElement('div');
+    container.className = 'p5ml-thumbnail';
+
+    const icon = document.createElement('div');
+    icon.className = className;
+    icon.textContent = symbol;
+
+    container.appendChild(icon);
+    return container;
+  }
+
   /**
    * Creates a thumbnail canvas for a framebuffer or image
    * @private
@@ -1156,10 +1595,12 @@ export class LayerUI {
   _moveSelectedLayer(direction) {
     if (this.selectedLayerId === null) return;
 
-    const layers = this.layerSystem.getLayers();
-    const currentIndex = layers.findIndex(l => l.id === this.selectedLayerId);
+    const selectedLayer = this.layerSystem.getLayers().find(l => l.id === this.selectedLayerId);
+    if (!selectedLayer) return;
 
-    if (currentIndex === -1) return;
+    // Layers only move among their siblings (bottom-to-top order)
+    const layers = this.layerSystem.getLayers().filter(l => l.group === selectedLayer.group);
+    const currentIndex = layers.indexOf(selectedLayer);
 
     // Calculate new index (remember layers are in bottom-to-top order)
     // direction -1 means "up" which is higher index
@@ -1172,9 +1613,22 @@ export class LayerUI {
     // Swap layers
     const targetLayer = layers[newIndex];
 
+    // Layers with locked properties keep their place in the stack
+    if (selectedLayer.locks.properties || targetLayer.locks.properties) return;
+
     // Swap entries inside the layer array
     [layers[currentIndex], layers[newIndex]] = [layers[newIndex], layers[currentIndex]];
 
+    if (selectedLayer.isGroup || targetLayer.isGroup) {
+      // Groups span several rows, so rebuild the list instead of swapping nodes
+      if (typeof this.layerSystem.reorderLayers === 'function') {
+        this.layerSystem.reorderLayers(layers);
+      }
+      this.update();
+      this._selectLayer(this.selectedLayerId);
+      return;
+    }
+
     // Move only the affected DOM nodes instead of rebuilding the entire list
     const selectedElement = this.layerElements.get(this.selectedLayerId);
     const targetElement = this.layerElements.get(targetLayer.id);
@@ -1368,6 +1822,32 @@ export class LayerUI {
         image-rendering: pixelated;
       }
 
+      /* Folder icon shown in place of a thumbnail for groups */
+      .p5ml-group-icon,
+      .p5ml-adjustment-icon {
+        width: 60px;
+        height: 60px;
+        border: 1px solid #555;
+        border-radius: 4px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 28px;
+        background: rgba(255, 255, 255, 0.05);
+      }
+
+      .p5ml-group-item .p5ml-layer-name {
+        font-weight: 600;
+      }
+
+      /* Clipping mask arrow */
+      .p5ml-clip-indicator {
+        flex-shrink: 0;
+        margin-right: -6px;
+        font-size: 16px;
+        color: #aaa;
+      }
+
       /* Layer name in center */
       .p5ml-layer-name {
         flex: 1;
@@ -1379,6 +1859,20 @@ export class LayerUI {
         white-space: nowrap;
       }
 
+      /* Inline rename field */
+      .p5ml-rename-input {
+        flex: 1;
+        min-width: 0;
+        padding: 2px 6px;
+        font: inherit;
+        font-size: 15px;
+        color: #e8e8e8;
+        background: rgba(0, 0, 0, 0.4);
+        border: 1px solid #555;
+        border-radius: 4px;
+        outline: none;
+      }
+
       /* Right side controls */
       .p5ml-right-controls {
         display: flex;
@@ -1410,6 +1904,44 @@ export class LayerUI {
         border-color: rgba(255, 255, 255, 0.3);
       }
 
+      /* Lock toggle */
+      .p5ml-lock-toggle {
+        width: 20px;
+        height: 28px;
+        padding: 0;
+        background: none;
+        border: none;
+        font-size: 13px;
+        cursor: pointer;
+        opacity: 0.25;
+        transition: opacity 0.15s;
+      }
+
+      .p5ml-lock-toggle:hover,
+      .p5ml-locked .p5ml-lock-toggle {
+        opacity: 1;
+      }
+
+      .p5ml-layer-dropdown select:disabled,
+      .p5ml-layer-dropdown input:disabled {
+        opacity: 0.4;
+        cursor: not-allowed;
+      }
+
+      .p5ml-muted .p5ml-layer-row {
+        opacity: 0.45;
+      }
+
+      .p5ml-soloed .p5ml-visibility-checkbox {
+        outline: 2px solid #f5a623;
+        outline-offset: 1px;
+      }
+
+      .p5ml-error .p5ml-layer-name {
+        color: #ff6b6b;
+        text-decoration: underline wavy rgba(255, 107, 107, 0.6);
+      }
+
       /* Visibility checkbox */
       .p5ml-visibility-checkbox {
         width: 20px;
@@ -1451,7 +1983,8 @@ export class LayerUI {
         font-weight: 600;
       }
 
-      .p5ml-opacity-slider {
+      .p5ml-opacity-slider,
+      .p5ml-adjustment-slider {
         width: 100%;
         height: 6px;
         border-radius: 3px;
@@ -1461,7 +1994,8 @@ export class LayerUI {
         margin-top: 4px;
       }
 
-      .p5ml-opacity-slider::-webkit-slider-thumb {
+      .p5ml-opacity-slider::-webkit-slider-thumb,
+      .p5ml-adjustment-slider::-webkit-slider-thumb {
         -webkit-appearance: none;
         appearance: none;
         width: 18px;
@@ -1472,7 +2006,8 @@ export class LayerUI {
         box-shadow: 0 2px 4px rgba(0, 0, 0, 0.4);
       }
 
-      .p5ml-opacity-slider::-moz-range-thumb {
+      .p5ml-opacity-slider::-moz-range-thumb,
+      .p5ml-adjustment-slider::-moz-range-thumb {
         width: 18px;
         height: 18px;
         border-radius: 50%;
@@ -1482,6 +2017,30 @@ export class LayerUI {
         box-shadow: 0 2px 4px rgba(0, 0, 0, 0.4);
       }
 
+      .p5ml-adjustment-input {
+        width: 100%;
+        box-sizing: border-box;
+        background: rgba(0, 0, 0, 0.4);
+        border: 1px solid #555;
+        border-radius: 6px;
+        color: #e8e8e8;
+        padding: 8px 10px;
+        font-family: monospace;
+        font-size: 12px;
+        outline: none;
+        margin-top: 4px;
+      }
+
+      .p5ml-adjustment-input.p5ml-invalid {
+        border-color: #ff6b6b;
+      }
+
+      .p5ml-adjustment-input[type="color"] {
+        height: 32px;
+        padding: 2px 4px;
+        cursor: pointer;
+      }
+
       .p5ml-blend-select {
         width: 100%;
         background: rgba(0, 0, 0, 0.4);
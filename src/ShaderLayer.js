@@ -0,0 +1,222 @@
+import { Layer } from './Layer.js';
+import { createCanvasToLayerMatrix } from './utils/transform.js';
+import compositorVertSource from './shaders/compositor.vert';
+
+/**
+ * A layer rendered by a user fragment shader every time it is composited.
+ * The shader receives `varying vec2 vTexCoord` (0-1, y up) and these uniforms:
+ * - uTime (float): seconds since the sketch started
+ * - uFrame (int): the current frameCount
+ * - uResolution (vec2): framebuffer size in device pixels, matching gl_FragCoord
+ * - uMouse (vec2): mouse position in the same space as vTexCoord
+ * - uBackground (sampler2D): the composite of the layers below, in canvas space
+ * Compile errors are reported on the layer (see error), which then stays
+ * transparent without affecting the other layers.
+ */
+export class ShaderLayer extends Layer {
+  /**
+   * @param {p5} p5Instance - The p5.js instance
+   * @param {string|number} id - Unique identifier for this layer
+   * @param {string} name - Human-readable name for this layer
+   * @param {Object} options - Layer configuration options
+   * @param {string} options.fragSource - GLSL fragment shader source
+   * @param {Object} options.uniforms - Initial values of custom uniforms
+   */
+  constructor(p5Instance, id, name = '', options = {}) {
+    super(p5Instance, id, name || `Shader ${id}`, options);
+
+    this.fragSource = options.fragSource || '';
+    this.uniforms = { ...options.uniforms };
+
+    // Compile or link error message, or null while the shader works
+    this.error = null;
+    this._shader = null;
+  }
+
+  get isGenerated() {
+    return true;
+  }
+
+  get isAnimated() {
+    return true;
+  }
+
+  /**
+   * Replaces the fragment shader; it is compiled on the next composite
+   * @param {string} fragSource - GLSL fragment shader source
+   * @returns {ShaderLayer} This layer for chaining
+   */
+  setShader(fragSource) {
+    if (this._rejectIfPropertiesLocked('set shader')) return this;
+    this.fragSource = fragSource || '';
+    this.error = null;
+    this._shader = null;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Sets a custom uniform, applied every time the layer is rendered
+   * @param {string} name - Uniform name
+   * @param {*} value - Any value accepted by p5.Shader.setUniform
+   * @returns {ShaderLayer} This layer for chaining
+   */
+  setUniform(name, value) {
+    if (this._rejectIfPropertiesLocked('set uniform')) return this;
+    this.uniforms[name] = value;
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Sets several custom uniforms at once
+   * @param {Object} uniforms - Uniform names and values
+   * @returns {ShaderLayer} This layer for chaining
+   */
+  setUniforms(uniforms = {}) {
+    if (this._rejectIfPropertiesLocked('set uniforms')) return this;
+    Object.assign(this.uniforms, uniforms);
+    this._markDirty();
+    return this;
+  }
+
+  /**
+   * Records a shader error and clears the layer so the composite can continue
+   * @private
+   */
+  _fail(error) {
+    this.error = String((error && error.message) || error || 'Unknown shader error').trim();
+    this._shader = null;
+    console.error(`Shader error in layer ${this.name}: ${this.error}`);
+
+    if (this.framebuffer) {
+      this.framebuffer.begin();
+      this.p.clear();
+      this.framebuffer.end();
+      this._markDirty(true);
+    }
+  }
+
+  /**
+   * Lazily creates and compiles the shader
+   * @private
+   */
+  _ensureShader() {
+    if (!this._shader && !this.error) {
+      try {
+        const shader = this.p.createShader(compositorVertSource, this.fragSource);
+        // Compile right away so errors are attributed to this layer. p5 throws
+        // on compile errors, or returns null from init() in minified builds.
+        if (typeof shader.init === 'function' && shader.init() === null) {
+          throw new Error('Failed to compile the fragment shader');
+        }
+        this._shader = shader;
+      } catch (e) {
+        this._fail(e);
+      }
+    }
+    return this._shader;
+  }
+
+  /**
+   * Gets the mouse position in vTexCoord space
+   * @private
+   */
+  _getMouse() {
+    const p = this.p;
+    const mouseX = p.mouseX || 0;
+    const mouseY = p.mouseY || 0;
+
+    const transform = this.compositeTransform;
+    const matrix = transform ? createCanvasToLayerMatrix(transform, this.width, this.height) : null;
+    if (!matrix) {
+      return [mouseX / p.width, 1 - mouseY / p.height];
+    }
+    const u = matrix[0] * mouseX + matrix[3] * mouseY + matrix[6];
+    const v = matrix[1] * mouseX + matrix[4] * mouseY + matrix[7];
+    return [u, 1 - v];
+  }
+
+  /**
+   * Renders the shader into the framebuffer
+   * @param {Object} [context] - Compositing context
+   * @param {p5.Framebuffer} [context.background] - The composite of the layers below
+   */
+  prepare(context = {}) {
+    if (!this.framebuffer) {
+      return;
+    }
+    const shader = this._ensureShader();
+    if (!shader) {
+      return;
+    }
+
+    const p = this.p;
+    let failure = null;
+    this.framebuffer.begin();
+    p.push();
+    try {
+      p.clear();
+      p.blendMode(p.BLEND);
+      p.shader(shader);
+
+      shader.setUniform('uTime', (typeof p.millis === 'function' ? p.millis() : 0) / 1000);
+      shader.setUniform('uFrame', p.frameCount || 0);
+      shader.setUniform('uResolution', [this.width * this.density, this.height * this.density]);
+      shader.setUniform('uMouse', this._getMouse());
+      if (context.background) {
+        shader.setUniform('uBackground', context.background);
+      }
+      Object.keys(this.uniforms).forEach(name => {
+        shader.setUniform(name, this.uniforms[name]);
+      });
+
+      p.noStroke();
+      p.rect(0, 0, this.width, this.height);
+    } catch (e) {
+      failure = e;
+    }
+    p.resetShader();
+    p.pop();
+    this.framebuffer.end();
+
+    if (failure) {
+      this._fail(failure);
+      return;
+    }
+
+    this.hasBeenDrawnTo = true;
+    this._markDirty(true);
+  }
+
+  /**
+   * Shader layers cannot be drawn to
+   */
+  begin() {
+    console.error(`Cannot begin drawing: ${this.name} is a shader layer.`);
+  }
+
+  /**
+   * Shader layers cannot be drawn to
+   */
+  end() {}
+
+  /**
+   * Disposes of this layer's resources
+   */
+  dispose() {
+    this._shader = null;
+    super.dispose();
+  }
+
+  /**
+   * Returns a plain object representation of this layer's properties
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      uniforms: Object.keys(this.uniforms),
+      error: this.error
+    };
+  }
+}
@@ -59,16 +59,349 @@ export function getBlendModeIndex(mode) {
   }
 }
 
+/**
+ * Blend modes that stay meaningful for colors above 1.0 when compositing in HDR
+ * (see LayerSystem.setHDR()). The other modes are written for 0-1 colors: in HDR
+ * they blend the 0-1 part of the backdrop and keep its excess above 1, with the
+ * layer's own colors clipped to 1.
+ */
+export const HDR_BLEND_MODES = [
+  BlendModes.NORMAL,
+  BlendModes.MULTIPLY,
+  BlendModes.ADD,
+  BlendModes.SUBTRACT,
+  BlendModes.DARKEN,
+  BlendModes.LIGHTEN,
+  BlendModes.DIFFERENCE
+];
+
+/**
+ * Compositing modes for layer groups
+ * - PASS_THROUGH: children blend directly into the layers beneath the group
+ * - ISOLATED: children are composited into their own buffer first, which is
+ *   then blended as a single layer using the group's blend mode
+ */
+export const GroupModes = {
+  PASS_THROUGH: 'PASS_THROUGH',
+  ISOLATED: 'ISOLATED'
+};
+
+/**
+ * Adjustment layer types
+ * Adjustment layers have no pixels of their own and recolor everything beneath them
+ */
+export const AdjustmentTypes = {
+  BRIGHTNESS_CONTRAST: 'BRIGHTNESS_CONTRAST',
+  HUE_SATURATION: 'HUE_SATURATION',
+  LEVELS: 'LEVELS',
+  CURVES: 'CURVES',
+  INVERT: 'INVERT',
+  THRESHOLD: 'THRESHOLD',
+  GRADIENT_MAP: 'GRADIENT_MAP'
+};
+
+/**
+ * Maps adjustment types to shader uniform integers
+ * These correspond to the adjustment indices in adjustment.frag
+ */
+export function getAdjustmentTypeIndex(type) {
+  switch (type) {
+  case AdjustmentTypes.BRIGHTNESS_CONTRAST:
+    return 0;
+  case AdjustmentTypes.HUE_SATURATION:
+    return 1;
+  case AdjustmentTypes.LEVELS:
+    return 2;
+  case AdjustmentTypes.CURVES:
+    return 3;
+  case AdjustmentTypes.INVERT:
+    return 4;
+  case AdjustmentTypes.THRESHOLD:
+    return 5;
+  case AdjustmentTypes.GRADIENT_MAP:
+    return 6;
+  default:
+    console.warn(`Unknown adjustment type: ${type}, falling back to INVERT`);
+    return 4;
+  }
+}
+
+/**
+ * Parameters of each adjustment type, with their defaults.
+ * Numeric parameters list their range for UI sliders.
+ * - CURVES: arrays of [input, output] control points (0-1), per channel and for all channels (rgb)
+ * - GRADIENT_MAP: color stops ({ position: 0-1, color: '#rrggbb' or [r, g, b] }) mapped from dark to light
+ */
+export const ADJUSTMENT_PARAMS = {
+  [AdjustmentTypes.BRIGHTNESS_CONTRAST]: {
+    brightness: { default: 0, min: -1, max: 1, step: 0.01 },
+    contrast: { default: 0, min: -1, max: 1, step: 0.01 }
+  },
+  [AdjustmentTypes.HUE_SATURATION]: {
+    hue: { default: 0, min: -180, max: 180, step: 1 }, // degrees
+    saturation: { default: 0, min: -1, max: 1, step: 0.01 },
+    lightness: { default: 0, min: -1, max: 1, step: 0.01 }
+  },
+  [AdjustmentTypes.LEVELS]: {
+    inputBlack: { default: 0, min: 0, max: 1, step: 0.01 },
+    inputWhite: { default: 1, min: 0, max: 1, step: 0.01 },
+    gamma: { default: 1, min: 0.1, max: 10, step: 0.01 },
+    outputBlack: { default: 0, min: 0, max: 1, step: 0.01 },
+    outputWhite: { default: 1, min: 0, max: 1, step: 0.01 }
+  },
+  [AdjustmentTypes.CURVES]: {
+    rgb: { default: [[0, 0], [1, 1]] },
+    red: { default: [[0, 0], [1, 1]] },
+    green: { default: [[0, 0], [1, 1]] },
+    blue: { default: [[0, 0], [1, 1]] }
+  },
+  [AdjustmentTypes.INVERT]: {},
+  [AdjustmentTypes.THRESHOLD]: {
+    level: { default: 0.5, min: 0, max: 1, step: 0.01 }
+  },
+  [AdjustmentTypes.GRADIENT_MAP]: {
+    stops: { default: [{ position: 0, color: '#000000' }, { position: 1, color: '#ffffff' }] }
+  }
+};
+
+/**
+ * Layer effect types (layer styles)
+ * Effects are applied to a layer's pixels, in order, before the layer is composited
+ */
+export const EffectTypes = {
+  BLUR: 'BLUR',
+  DROP_SHADOW: 'DROP_SHADOW',
+  OUTER_GLOW: 'OUTER_GLOW',
+  STROKE: 'STROKE',
+  COLOR_OVERLAY: 'COLOR_OVERLAY'
+};
+
+/**
+ * Parameters of each effect type, with their defaults.
+ * Sizes and offsets are in layer pixels; colors are '#rrggbb' or [r, g, b].
+ */
+export const EFFECT_PARAMS = {
+  [EffectTypes.BLUR]: {
+    radius: { default: 4, min: 0, max: 64, step: 1 }
+  },
+  [EffectTypes.DROP_SHADOW]: {
+    color: { default: '#000000' },
+    opacity: { default: 0.75, min: 0, max: 1, step: 0.01 },
+    offsetX: { default: 5, min: -256, max: 256, step: 1 },
+    offsetY: { default: 5, min: -256, max: 256, step: 1 },
+    blur: { default: 5, min: 0, max: 64, step: 1 }
+  },
+  [EffectTypes.OUTER_GLOW]: {
+    color: { default: '#ffffbe' },
+    opacity: { default: 0.75, min: 0, max: 1, step: 0.01 },
+    size: { default: 10, min: 0, max: 64, step: 1 }
+  },
+  [EffectTypes.STROKE]: {
+    color: { default: '#000000' },
+    opacity: { default: 1, min: 0, max: 1, step: 0.01 },
+    size: { default: 3, min: 1, max: 16, step: 1 }
+  },
+  [EffectTypes.COLOR_OVERLAY]: {
+    color: { default: '#ff0000' },
+    opacity: { default: 1, min: 0, max: 1, step: 0.01 }
+  }
+};
+
+/**
+ * Fill layer types
+ * Fill layers generate their content from parameters instead of being drawn to
+ */
+export const FillTypes = {
+  SOLID: 'solid',
+  LINEAR: 'linear',
+  RADIAL: 'radial',
+  PATTERN: 'pattern'
+};
+
+/**
+ * Maps fill types to shader uniform integers
+ * These correspond to the fill indices in fill.frag
+ */
+export function getFillTypeIndex(type) {
+  switch (type) {
+  case FillTypes.SOLID:
+    return 0;
+  case FillTypes.LINEAR:
+    return 1;
+  case FillTypes.RADIAL:
+    return 2;
+  case FillTypes.PATTERN:
+    return 3;
+  default:
+    console.warn(`Unknown fill type: ${type}, falling back to SOLID`);
+    return 0;
+  }
+}
+
+/**
+ * Parameters of each fill type, with their defaults.
+ * Angles are in degrees, clockwise from left-to-right; centers and radii are
+ * relative to the layer size; pattern sizes are in layer pixels.
+ */
+export const FILL_PARAMS = {
+  [FillTypes.SOLID]: {
+    color: { default: '#808080' }
+  },
+  [FillTypes.LINEAR]: {
+    stops: { default: [{ position: 0, color: '#000000' }, { position: 1, color: '#ffffff' }] },
+    angle: { default: 90, min: 0, max: 360, step: 1 }
+  },
+  [FillTypes.RADIAL]: {
+    stops: { default: [{ position: 0, color: '#ffffff' }, { position: 1, color: '#000000' }] },
+    centerX: { default: 0.5, min: 0, max: 1, step: 0.01 },
+    centerY: { default: 0.5, min: 0, max: 1, step: 0.01 },
+    radius: { default: 0.5, min: 0.01, max: 2, step: 0.01 }
+  },
+  [FillTypes.PATTERN]: {
+    pattern: { default: 'checker', options: ['checker', 'stripes', 'dots'] },
+    color: { default: '#ffffff' },
+    backgroundColor: { default: '#cccccc' },
+    size: { default: 16, min: 1, max: 256, step: 1 },
+    angle: { default: 0, min: 0, max: 360, step: 1 }
+  }
+};
+
+/**
+ * How image layers fit their source into the layer
+ * - COVER: scale to fill the layer, cropping the overflow
+ * - CONTAIN: scale to fit inside the layer, leaving transparent bars
+ * - STRETCH: fill the layer exactly, ignoring the aspect ratio
+ * - NONE: draw at the source's own size
+ * Sources are centered in the layer for every mode except STRETCH.
+ */
+export const FitModes = {
+  COVER: 'cover',
+  CONTAIN: 'contain',
+  STRETCH: 'stretch',
+  NONE: 'none'
+};
+
+/**
+ * How a layer's pixels are sampled when it is composited at another size
+ * - LINEAR: smooth interpolation between pixels
+ * - NEAREST: hard pixel edges, for pixel art and other low-resolution layers
+ */
+export const TextureFiltering = {
+  LINEAR: 'linear',
+  NEAREST: 'nearest'
+};
+
+/**
+ * How a layer's pixels are stored (see also LayerSystem.setHDR())
+ * - UNSIGNED_BYTE: 8 bits per channel, values are clipped to 0-1
+ * - HALF_FLOAT: 16-bit floats, with enough range and precision for bright HDR colors
+ * - FLOAT: 32-bit floats
+ * Float formats fall back to what the browser can render to (see utils/formats.js).
+ */
+export const BufferFormats = {
+  UNSIGNED_BYTE: 'unsigned-byte',
+  HALF_FLOAT: 'half',
+  FLOAT: 'float'
+};
+
+/**
+ * How HDR composites are mapped into the 0-1 range of the canvas
+ * - CLAMP: clip values above 1
+ * - REINHARD: c / (1 + c), compresses highlights smoothly but desaturates them
+ * - ACES: filmic curve fitted to the ACES reference rendering
+ */
+export const ToneMappingOperators = {
+  CLAMP: 'clamp',
+  REINHARD: 'reinhard',
+  ACES: 'aces'
+};
+
+/**
+ * Default HDR compositing options (see LayerSystem.setHDR())
+ */
+export const DEFAULT_HDR_OPTIONS = {
+  format: BufferFormats.HALF_FLOAT,
+  toneMapping: ToneMappingOperators.ACES,
+  exposure: 0 // in stops: +1 doubles the brightness before tone mapping
+};
+
+/**
+ * What happens to a layer's content when the layer is resized
+ * - DISCARD: the layer starts out empty
+ * - SCALE: the content is resampled to the new size
+ * - ANCHOR: the content keeps its size and is placed at an anchor (see ResizeAnchors),
+ *   cropped when the layer shrinks
+ */
+export const ResizeModes = {
+  DISCARD: 'discard',
+  SCALE: 'scale',
+  ANCHOR: 'anchor'
+};
+
+/**
+ * Where content is placed when a layer is resized with ResizeModes.ANCHOR
+ */
+export const ResizeAnchors = {
+  TOP_LEFT: 'top-left',
+  TOP: 'top',
+  TOP_RIGHT: 'top-right',
+  LEFT: 'left',
+  CENTER: 'center',
+  RIGHT: 'right',
+  BOTTOM_LEFT: 'bottom-left',
+  BOTTOM: 'bottom',
+  BOTTOM_RIGHT: 'bottom-right'
+};
+
+/**
+ * Position of each resize anchor as [x, y] fractions of the layer size (0, 0 = top-left)
+ */
+export const RESIZE_ANCHOR_POINTS = {
+  [ResizeAnchors.TOP_LEFT]: [0, 0],
+  [ResizeAnchors.TOP]: [0.5, 0],
+  [ResizeAnchors.TOP_RIGHT]: [1, 0],
+  [ResizeAnchors.LEFT]: [0, 0.5],
+  [ResizeAnchors.CENTER]: [0.5, 0.5],
+  [ResizeAnchors.RIGHT]: [1, 0.5],
+  [ResizeAnchors.BOTTOM_LEFT]: [0, 1],
+  [ResizeAnchors.BOTTOM]: [0.5, 1],
+  [ResizeAnchors.BOTTOM_RIGHT]: [1, 1]
+};
+
+/**
+ * When a layer's previous content is cleared, applied the first time the
+ * layer is begun in each frame
+ * - MANUAL: never (call clear() yourself)
+ * - EVERY_FRAME: clear to transparent
+ * - FADE: fade toward transparent (or fadeColor) by fadeAmount, leaving trails
+ */
+export const ClearModes = {
+  MANUAL: 'manual',
+  EVERY_FRAME: 'everyFrame',
+  FADE: 'fade'
+};
+
 /**
  * Default layer options
  */
 export const DEFAULT_LAYER_OPTIONS = {
+  displayName: null, // null means show the layer name in the UI
+  tags: [], // labels used to find layers (see LayerSystem.findLayers())
   visible: true,
   opacity: 1.0,
+  fillOpacity: 1.0, // opacity of the layer's own pixels, leaving its effects untouched
   blendMode: BlendModes.NORMAL,
+  clipping: false, // clip to the alpha of the nearest non-clipped layer below
+  clearMode: ClearModes.MANUAL,
+  fadeAmount: 0.1, // how much of the previous frame fades out per frame in FADE mode (0-1)
+  fadeColor: null, // null means fade to transparent
   width: null,  // null means use canvas width
   height: null, // null means use canvas height
   density: null, // null means use canvas density
   depth: false,
-  antialias: false
+  depthTest: false, // hide pixels behind the depth of the layers below (needs depth: true)
+  antialias: false,
+  filtering: TextureFiltering.LINEAR,
+  format: BufferFormats.UNSIGNED_BYTE, // float formats keep values above 1.0 (see BufferFormats)
+  integerScale: false // composite at whole multiples of the layer's pixels (see Layer.setIntegerScale())
 };
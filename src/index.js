@@ -5,12 +5,52 @@
  */
 
 import { LayerSystem } from './LayerSystem.js';
-import { BlendModes as BlendModesEnum } from './constants.js';
+import {
+  BlendModes as BlendModesEnum,
+  GroupModes as GroupModesEnum,
+  AdjustmentTypes as AdjustmentTypesEnum,
+  EffectTypes as EffectTypesEnum,
+  FillTypes as FillTypesEnum,
+  FitModes as FitModesEnum,
+  ClearModes as ClearModesEnum,
+  ResizeModes as ResizeModesEnum,
+  ResizeAnchors as ResizeAnchorsEnum,
+  TextureFiltering as TextureFilteringEnum,
+  BufferFormats as BufferFormatsEnum,
+  ToneMappingOperators as ToneMappingOperatorsEnum
+} from './constants.js';
 
 export { Layer } from './Layer.js';
+export { LayerGroup } from './LayerGroup.js';
+export { AdjustmentLayer } from './AdjustmentLayer.js';
+export { FillLayer } from './FillLayer.js';
+export { ImageLayer } from './ImageLayer.js';
+export { ShaderLayer } from './ShaderLayer.js';
 export { Compositor } from './Compositor.js';
+export { EffectRenderer } from './EffectRenderer.js';
 export { LayerUI } from './LayerUI.js';
-export { BlendModes, getBlendModeIndex, DEFAULT_LAYER_OPTIONS } from './constants.js';
+export {
+  BlendModes,
+  GroupModes,
+  AdjustmentTypes,
+  ADJUSTMENT_PARAMS,
+  EffectTypes,
+  EFFECT_PARAMS,
+  FillTypes,
+  FILL_PARAMS,
+  FitModes,
+  ClearModes,
+  ResizeModes,
+  ResizeAnchors,
+  TextureFiltering,
+  BufferFormats,
+  ToneMappingOperators,
+  HDR_BLEND_MODES,
+  getBlendModeIndex,
+  getAdjustmentTypeIndex,
+  getFillTypeIndex,
+  DEFAULT_LAYER_OPTIONS
+} from './constants.js';
 
 // Version
 export const VERSION = '0.2.1';
@@ -45,6 +85,17 @@ if (typeof window !== 'undefined' && typeof window.p5 !== 'undefined') {
   
   // Also expose common utilities globally for convenience
   window.BlendModes = BlendModesEnum;
+  window.GroupModes = GroupModesEnum;
+  window.AdjustmentTypes = AdjustmentTypesEnum;
+  window.EffectTypes = EffectTypesEnum;
+  window.FillTypes = FillTypesEnum;
+  window.FitModes = FitModesEnum;
+  window.ClearModes = ClearModesEnum;
+  window.ResizeModes = ResizeModesEnum;
+  window.ResizeAnchors = ResizeAnchorsEnum;
+  window.TextureFiltering = TextureFilteringEnum;
+  window.BufferFormats = BufferFormatsEnum;
+  window.ToneMappingOperators = ToneMappingOperatorsEnum;
 }
 
 // Export addon function as default for ESM usage
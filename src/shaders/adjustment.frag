@@ -0,0 +1,128 @@
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D backgroundTexture;
+uniform sampler2D maskTexture;
+uniform bool hasMask;
+uniform float layerOpacity;
+uniform int adjustmentType;
+uniform vec4 params1;
+uniform vec4 params2;
+uniform sampler2D lutTexture;
+uniform sampler2D clipTexture;
+uniform bool hasClip;
+uniform sampler2D clipMaskTexture;
+uniform bool hasClipMask;
+uniform float clipOpacity;
+uniform vec2 canvasSize;
+uniform bool hasClipTransform;
+uniform mat3 clipTransform;
+
+const vec3 LUMA = vec3(0.2126, 0.7152, 0.0722);
+
+// Samples the 256x1 lookup texture at the center of the matching texel
+vec4 lookup(float value) {
+  return texture2D(lutTexture, vec2((clamp(value, 0.0, 1.0) * 255.0 + 0.5) / 256.0, 0.5));
+}
+
+vec3 rgbToHsl(vec3 c) {
+  float maxC = max(c.r, max(c.g, c.b));
+  float minC = min(c.r, min(c.g, c.b));
+  float l = (maxC + minC) * 0.5;
+  float d = maxC - minC;
+  if (d <= 0.0) {
+    return vec3(0.0, 0.0, l);
+  }
+  float s = l > 0.5 ? d / (2.0 - maxC - minC) : d / (maxC + minC);
+  float h;
+  if (maxC == c.r) {
+    h = (c.g - c.b) / d + (c.g < c.b ? 6.0 : 0.0);
+  } else if (maxC == c.g) {
+    h = (c.b - c.r) / d + 2.0;
+  } else {
+    h = (c.r - c.g) / d + 4.0;
+  }
+  return vec3(h / 6.0, s, l);
+}
+
+vec3 hslToRgb(vec3 hsl) {
+  vec3 rgb = clamp(abs(mod(hsl.x * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+  return hsl.z + hsl.y * (rgb - 0.5) * (1.0 - abs(2.0 * hsl.z - 1.0));
+}
+
+vec3 applyAdjustment(vec3 color) {
+  // BRIGHTNESS_CONTRAST: params1 = (brightness, contrast)
+  if (adjustmentType == 0) {
+    float contrast = tan((clamp(params1.y, -1.0, 0.99) + 1.0) * 0.785398);
+    return (color + params1.x - 0.5) * contrast + 0.5;
+  }
+  // HUE_SATURATION: params1 = (hue in degrees, saturation, lightness)
+  if (adjustmentType == 1) {
+    vec3 hsl = rgbToHsl(color);
+    hsl.x = fract(hsl.x + params1.x / 360.0);
+    hsl.y = clamp(hsl.y * (1.0 + params1.y), 0.0, 1.0);
+    vec3 rgb = hslToRgb(hsl);
+    return params1.z >= 0.0 ? mix(rgb, vec3(1.0), params1.z) : mix(rgb, vec3(0.0), -params1.z);
+  }
+  // LEVELS: params1 = (input black, input white, gamma), params2 = (output black, output white)
+  if (adjustmentType == 2) {
+    vec3 c = clamp((color - params1.x) / max(params1.y - params1.x, 0.00001), 0.0, 1.0);
+    c = pow(c, vec3(1.0 / max(params1.z, 0.00001)));
+    return mix(vec3(params2.x), vec3(params2.y), c);
+  }
+  // CURVES: one curve per channel in the lookup texture
+  if (adjustmentType == 3) {
+    return vec3(lookup(color.r).r, lookup(color.g).g, lookup(color.b).b);
+  }
+  // INVERT
+  if (adjustmentType == 4) {
+    return 1.0 - color;
+  }
+  // THRESHOLD: params1 = (level)
+  if (adjustmentType == 5) {
+    return vec3(step(params1.x, dot(color, LUMA)));
+  }
+  // GRADIENT_MAP: gradient color by luminance from the lookup texture
+  if (adjustmentType == 6) {
+    return lookup(dot(color, LUMA)).rgb;
+  }
+  return color;
+}
+
+// See compositor.frag
+vec2 toLayerSpace(vec2 uv, mat3 transform) {
+  vec3 mapped = transform * vec3(uv.x * canvasSize.x, (1.0 - uv.y) * canvasSize.y, 1.0);
+  return vec2(mapped.x, 1.0 - mapped.y);
+}
+
+bool isInsideLayer(vec2 uv) {
+  return uv.x >= 0.0 && uv.x <= 1.0 && uv.y >= 0.0 && uv.y <= 1.0;
+}
+
+void main() {
+  vec2 uv = vTexCoord;
+  vec4 bgColor = texture2D(backgroundTexture, uv);
+
+  // How strongly the adjustment applies at this pixel
+  float amount = layerOpacity;
+  if (hasMask) {
+    amount *= texture2D(maskTexture, uv).r;
+  }
+  if (hasClip) {
+    vec2 clipUv = hasClipTransform ? toLayerSpace(uv, clipTransform) : uv;
+    float clipCoverage = 0.0;
+    if (isInsideLayer(clipUv)) {
+      clipCoverage = texture2D(clipTexture, clipUv).a * clipOpacity;
+      if (hasClipMask) {
+        clipCoverage *= texture2D(clipMaskTexture, clipUv).r;
+      }
+    }
+    amount *= clipCoverage;
+  }
+
+  vec3 adjusted = clamp(applyAdjustment(bgColor.rgb), 0.0, 1.0);
+
+  // Adjustments recolor the backdrop but never change its transparency
+  gl_FragColor = vec4(mix(bgColor.rgb, adjusted, amount), bgColor.a);
+}
@@ -0,0 +1,14 @@
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D colorTexture;
+uniform sampler2D alphaTexture;
+
+// Combines the color of one texture with the alpha of another.
+// Used to keep the transparency of alpha-locked layers unchanged after drawing.
+void main() {
+  vec4 color = texture2D(colorTexture, vTexCoord);
+  float alpha = texture2D(alphaTexture, vTexCoord).a;
+  gl_FragColor = vec4(color.rgb, alpha);
+}
@@ -7,7 +7,28 @@ uniform sampler2D backgroundTexture;
 uniform sampler2D maskTexture;
 uniform bool hasMask;
 uniform float layerOpacity;
+uniform float fillOpacity;
+uniform sampler2D styleTexture;
+uniform bool hasStyles;
 uniform int blendMode;
+uniform sampler2D clipTexture;
+uniform bool hasClip;
+uniform sampler2D clipMaskTexture;
+uniform bool hasClipMask;
+uniform float clipOpacity;
+uniform vec2 canvasSize;
+uniform bool hasTransform;
+uniform mat3 layerTransform;
+uniform bool hasClipTransform;
+uniform mat3 clipTransform;
+uniform bool hasDepthTest;
+uniform sampler2D layerDepthTexture;
+uniform sampler2D sceneDepthTexture;
+uniform bool unclamped; // HDR compositing: let additive modes go beyond 1.0
+uniform bool clampBlendInputs; // HDR compositing with a mode written for 0-1 colors (see HDR_BLEND_MODES)
+
+// Tolerance for content drawn at the same depth on several layers
+const float DEPTH_BIAS = 0.00001;
 
 // Import glsl-blend functions
 #pragma glslify: blendNormal = require(glsl-blend/normal)
@@ -29,8 +50,8 @@ vec3 applyBlendMode(int mode, vec3 base, vec3 blend, float opacity) {
   if (mode == 0) return blendNormal(base, blend, opacity);      // NORMAL
   if (mode == 1) return blendMultiply(base, blend, opacity);    // MULTIPLY
   if (mode == 2) return blendScreen(base, blend, opacity);      // SCREEN
-  if (mode == 3) return blendAdd(base, blend, opacity);         // ADD
-  if (mode == 4) return blendSubtract(base, blend, opacity);    // SUBTRACT
+  if (mode == 3) return unclamped ? base + blend * opacity : blendAdd(base, blend, opacity); // ADD
+  if (mode == 4) return unclamped ? max(base + (blend - 1.0) * opacity, 0.0) : blendSubtract(base, blend, opacity); // SUBTRACT
   if (mode == 5) return blendOverlay(base, blend, opacity);     // OVERLAY
   if (mode == 6) return blendSoftLight(base, blend, opacity);   // SOFT_LIGHT
   if (mode == 7) return blendHardLight(base, blend, opacity);   // HARD_LIGHT
@@ -43,33 +64,98 @@ vec3 applyBlendMode(int mode, vec3 base, vec3 blend, float opacity) {
   return blendNormal(base, blend, opacity); // Fallback
 }
 
+// Maps a canvas texture coordinate into the texture space of a transformed layer.
+// The matrix works in canvas pixels with a top-left origin, while texture
+// coordinates have their origin at the bottom-left.
+vec2 toLayerSpace(vec2 uv, mat3 transform) {
+  vec3 mapped = transform * vec3(uv.x * canvasSize.x, (1.0 - uv.y) * canvasSize.y, 1.0);
+  return vec2(mapped.x, 1.0 - mapped.y);
+}
+
+bool isInsideLayer(vec2 uv) {
+  return uv.x >= 0.0 && uv.x <= 1.0 && uv.y >= 0.0 && uv.y <= 1.0;
+}
+
 void main() {
-  // Use texture coordinates directly
+  // Background always uses the canvas texture coordinates
   vec2 uv = vTexCoord;
+  vec4 bgColor = texture2D(backgroundTexture, uv);
+
+  // Transformed layers are sampled in their own space; outside is transparent
+  vec2 layerUv = hasTransform ? toLayerSpace(uv, layerTransform) : uv;
+  if (!isInsideLayer(layerUv)) {
+    gl_FragColor = bgColor;
+    return;
+  }
+
+  // Depth test: hide the layer where the layers below have nearer 3D content.
+  // Pixels without depth (1.0, e.g. the blur of a glow) are never hidden.
+  if (hasDepthTest) {
+    float layerDepth = texture2D(layerDepthTexture, layerUv).r;
+    if (layerDepth < 1.0 && layerDepth > texture2D(sceneDepthTexture, uv).r + DEPTH_BIAS) {
+      gl_FragColor = bgColor;
+      return;
+    }
+  }
 
   // Sample textures
-  vec4 layerColor = texture2D(layerTexture, uv);
-  vec4 bgColor = texture2D(backgroundTexture, uv);
+  vec4 layerColor = texture2D(layerTexture, layerUv);
+
+  // Fill opacity fades the layer's own pixels but not its effects: mix the
+  // effects-only result toward the complete one (premultiplied)
+  if (hasStyles) {
+    vec4 styleColor = texture2D(styleTexture, layerUv);
+    float fillAlpha = mix(styleColor.a, layerColor.a, fillOpacity);
+    vec3 fillColor = mix(styleColor.rgb * styleColor.a, layerColor.rgb * layerColor.a, fillOpacity);
+    layerColor = vec4(fillAlpha > 0.0 ? fillColor / fillAlpha : vec3(0.0), fillAlpha);
+  } else {
+    layerColor.a *= fillOpacity;
+  }
 
   // Calculate final opacity from layer alpha and opacity uniform
   float finalOpacity = layerColor.a * layerOpacity;
 
   // Apply mask if present
   if (hasMask) {
-    vec4 maskColor = texture2D(maskTexture, uv);
+    vec4 maskColor = texture2D(maskTexture, layerUv);
     float maskValue = maskColor.r;
     finalOpacity *= maskValue;
   }
 
+  // Clipping mask: only show the layer where its base layer has content
+  if (hasClip) {
+    vec2 clipUv = hasClipTransform ? toLayerSpace(uv, clipTransform) : uv;
+    float clipCoverage = 0.0;
+    if (isInsideLayer(clipUv)) {
+      clipCoverage = texture2D(clipTexture, clipUv).a * clipOpacity;
+      if (hasClipMask) {
+        clipCoverage *= texture2D(clipMaskTexture, clipUv).r;
+      }
+    }
+    finalOpacity *= clipCoverage;
+  }
+
   // If layer is completely transparent, just output background
   if (finalOpacity <= 0.0) {
     gl_FragColor = bgColor;
     return;
   }
 
-  // Apply blend mode only where layer has content
-  vec3 blendedColor = applyBlendMode(blendMode, bgColor.rgb, layerColor.rgb, finalOpacity);
+  // Apply the blend mode at full strength, then composite source-over so that
+  // transparent backdrops (e.g. isolated group buffers) keep their alpha.
+  // With an opaque backdrop this reduces to mixing base and blend by finalOpacity.
+  vec3 blendedColor;
+  if (clampBlendInputs) {
+    // Blend the 0-1 part of an HDR backdrop and keep its excess above white
+    vec3 excess = max(bgColor.rgb - 1.0, 0.0);
+    blendedColor = applyBlendMode(blendMode, min(bgColor.rgb, 1.0), clamp(layerColor.rgb, 0.0, 1.0), 1.0) + excess;
+  } else {
+    blendedColor = applyBlendMode(blendMode, bgColor.rgb, layerColor.rgb, 1.0);
+  }
+  vec3 sourceColor = mix(layerColor.rgb, blendedColor, bgColor.a);
+  float outAlpha = finalOpacity + bgColor.a * (1.0 - finalOpacity);
+  vec3 outColor = (sourceColor * finalOpacity + bgColor.rgb * bgColor.a * (1.0 - finalOpacity)) / outAlpha;
 
   // Output with proper alpha compositing
-  gl_FragColor = vec4(blendedColor, 1.0);
+  gl_FragColor = vec4(outColor, outAlpha);
 }
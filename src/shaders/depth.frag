@@ -0,0 +1,31 @@
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D sceneDepthTexture;
+uniform sampler2D layerDepthTexture;
+uniform vec2 canvasSize;
+uniform bool hasTransform;
+uniform mat3 layerTransform;
+
+// Same mapping as in compositor.frag
+vec2 toLayerSpace(vec2 uv, mat3 transform) {
+  vec3 mapped = transform * vec3(uv.x * canvasSize.x, (1.0 - uv.y) * canvasSize.y, 1.0);
+  return vec2(mapped.x, 1.0 - mapped.y);
+}
+
+bool isInsideLayer(vec2 uv) {
+  return uv.x >= 0.0 && uv.x <= 1.0 && uv.y >= 0.0 && uv.y <= 1.0;
+}
+
+void main() {
+  // Keeps the nearest depth drawn so far at each canvas pixel
+  float depth = texture2D(sceneDepthTexture, vTexCoord).r;
+
+  vec2 layerUv = hasTransform ? toLayerSpace(vTexCoord, layerTransform) : vTexCoord;
+  if (isInsideLayer(layerUv)) {
+    depth = min(depth, texture2D(layerDepthTexture, layerUv).r);
+  }
+
+  gl_FragColor = vec4(depth, depth, depth, 1.0);
+}
@@ -0,0 +1,106 @@
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D sourceTexture;
+uniform sampler2D baseTexture;
+uniform int effectPass;
+uniform vec2 texelSize;
+uniform vec2 direction;
+uniform float radius;
+uniform vec2 offset;
+uniform vec3 effectColor;
+uniform float effectOpacity;
+
+// Loop bounds must be constant in GLSL ES, so radii are capped
+const int MAX_BLUR_RADIUS = 64;
+const int MAX_DILATE_RADIUS = 16;
+
+bool isInside(vec2 uv) {
+  return uv.x >= 0.0 && uv.x <= 1.0 && uv.y >= 0.0 && uv.y <= 1.0;
+}
+
+// One direction of a separable gaussian blur, weighted by alpha so that
+// transparent pixels do not darken the edges
+vec4 blur(vec2 uv) {
+  if (radius < 0.5) {
+    return texture2D(sourceTexture, uv);
+  }
+
+  float sigma = max(radius * 0.5, 0.5);
+  vec4 sum = vec4(0.0);
+  float weightSum = 0.0;
+  for (int i = -MAX_BLUR_RADIUS; i <= MAX_BLUR_RADIUS; i++) {
+    float x = float(i);
+    if (abs(x) > radius) {
+      continue;
+    }
+    vec2 sampleUv = uv + direction * texelSize * x;
+    float weight = exp(-(x * x) / (2.0 * sigma * sigma));
+    vec4 color = isInside(sampleUv) ? texture2D(sourceTexture, sampleUv) : vec4(0.0);
+    sum += vec4(color.rgb * color.a, color.a) * weight;
+    weightSum += weight;
+  }
+
+  float alpha = sum.a / weightSum;
+  vec3 rgb = sum.a > 0.0 ? sum.rgb / sum.a : vec3(0.0);
+  return vec4(rgb, alpha);
+}
+
+// Largest alpha within a disc, used to grow shapes for strokes
+float dilate(vec2 uv) {
+  float maxAlpha = 0.0;
+  for (int y = -MAX_DILATE_RADIUS; y <= MAX_DILATE_RADIUS; y++) {
+    for (int x = -MAX_DILATE_RADIUS; x <= MAX_DILATE_RADIUS; x++) {
+      vec2 delta = vec2(float(x), float(y));
+      if (length(delta) > radius) {
+        continue;
+      }
+      vec2 sampleUv = uv + delta * texelSize;
+      if (isInside(sampleUv)) {
+        maxAlpha = max(maxAlpha, texture2D(sourceTexture, sampleUv).a);
+      }
+    }
+  }
+  return maxAlpha;
+}
+
+void main() {
+  vec2 uv = vTexCoord;
+
+  // 0: blur along direction
+  if (effectPass == 0) {
+    gl_FragColor = blur(uv);
+    return;
+  }
+
+  // 1: solid color with the (offset) alpha of the source, for shadows and glows
+  if (effectPass == 1) {
+    vec2 sampleUv = uv + offset;
+    float alpha = isInside(sampleUv) ? texture2D(sourceTexture, sampleUv).a : 0.0;
+    gl_FragColor = vec4(effectColor, alpha * effectOpacity);
+    return;
+  }
+
+  // 2: solid color with the dilated alpha of the source, for strokes
+  if (effectPass == 2) {
+    gl_FragColor = vec4(effectColor, dilate(uv) * effectOpacity);
+    return;
+  }
+
+  // 3: color overlay that keeps the source alpha
+  if (effectPass == 3) {
+    vec4 color = texture2D(sourceTexture, uv);
+    gl_FragColor = vec4(mix(color.rgb, effectColor, effectOpacity), color.a);
+    return;
+  }
+
+  // 4: source composited over base (source-over, straight alpha)
+  vec4 top = texture2D(sourceTexture, uv);
+  vec4 base = texture2D(baseTexture, uv);
+  float outAlpha = top.a + base.a * (1.0 - top.a);
+  vec3 outColor = outAlpha > 0.0
+    ? (top.rgb * top.a + base.rgb * base.a * (1.0 - top.a)) / outAlpha
+    : vec3(0.0);
+  gl_FragColor = vec4(outColor, outAlpha);
+}
@@ -0,0 +1,24 @@
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D layerTexture;
+uniform vec4 fadeColor;   // transparent, or an opaque color to fade toward
+uniform float fadeAmount;
+uniform float minStep;    // smallest value change the layer can store, 0 for float layers
+
+// Fades the previous content of a layer (ClearModes.FADE).
+void main() {
+  vec4 color = texture2D(layerTexture, vTexCoord);
+  vec4 faded = mix(color, fadeColor, fadeAmount);
+
+  // 8-bit buffers round changes of less than half a step away, so small fade
+  // amounts would leave faint trails forever. Moving one more step toward the
+  // fade color makes every pixel reach it eventually.
+  if (fadeAmount > 0.0) {
+    vec4 remaining = fadeColor - faded;
+    faded += sign(remaining) * min(abs(remaining), vec4(minStep));
+  }
+
+  gl_FragColor = faded;
+}
@@ -0,0 +1,62 @@
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform int fillType;
+uniform vec2 layerSize;
+uniform vec3 fillColor;
+uniform vec3 backgroundColor;
+uniform sampler2D lutTexture;
+uniform float angle;
+uniform vec2 center;
+uniform float radius;
+uniform int patternType;
+uniform float patternSize;
+
+// Samples the 256x1 gradient texture at the center of the matching texel
+vec3 gradient(float t) {
+  return texture2D(lutTexture, vec2((clamp(t, 0.0, 1.0) * 255.0 + 0.5) / 256.0, 0.5)).rgb;
+}
+
+vec3 pattern(vec2 position) {
+  // Rotate around the layer center so the pattern turns in place
+  vec2 p = position - layerSize * 0.5;
+  float c = cos(angle);
+  float s = sin(angle);
+  vec2 cell = vec2(c * p.x + s * p.y, -s * p.x + c * p.y) / patternSize;
+
+  float coverage;
+  // 0: checker
+  if (patternType == 0) {
+    coverage = mod(floor(cell.x) + floor(cell.y), 2.0);
+  // 1: stripes
+  } else if (patternType == 1) {
+    coverage = mod(floor(cell.x), 2.0);
+  // 2: dots
+  } else {
+    coverage = 1.0 - step(0.35, length(fract(cell) - 0.5));
+  }
+  return mix(backgroundColor, fillColor, coverage);
+}
+
+void main() {
+  // Layer pixel coordinates, with y pointing down like the p5 canvas
+  vec2 position = vec2(vTexCoord.x, 1.0 - vTexCoord.y) * layerSize;
+  vec3 color = fillColor;
+
+  // 1: linear gradient along angle, spanning the whole layer
+  if (fillType == 1) {
+    vec2 direction = vec2(cos(angle), sin(angle));
+    float extent = abs(layerSize.x * direction.x) + abs(layerSize.y * direction.y);
+    color = gradient(dot(position - layerSize * 0.5, direction) / extent + 0.5);
+  // 2: radial gradient around center
+  } else if (fillType == 2) {
+    float distance = length(position - center * layerSize);
+    color = gradient(distance / (radius * max(layerSize.x, layerSize.y)));
+  // 3: repeating pattern
+  } else if (fillType == 3) {
+    color = pattern(position);
+  }
+
+  gl_FragColor = vec4(color, 1.0);
+}
@@ -0,0 +1,30 @@
+precision highp float;
+
+varying vec2 vTexCoord;
+
+uniform sampler2D hdrTexture;
+uniform float exposure; // linear multiplier, 2^stops
+uniform int toneMapping;
+
+// Filmic curve fitted to the ACES reference rendering (Krzysztof Narkowicz)
+vec3 toneMapAces(vec3 color) {
+  return (color * (2.51 * color + 0.03)) / (color * (2.43 * color + 0.59) + 0.14);
+}
+
+vec3 toneMapReinhard(vec3 color) {
+  return color / (1.0 + color);
+}
+
+void main() {
+  vec4 hdrColor = texture2D(hdrTexture, vTexCoord);
+  vec3 color = max(hdrColor.rgb, vec3(0.0)) * exposure;
+
+  if (toneMapping == 1) {
+    color = toneMapReinhard(color); // REINHARD
+  } else if (toneMapping == 2) {
+    color = toneMapAces(color);     // ACES
+  }
+
+  // CLAMP, and whatever the curves leave above 1
+  gl_FragColor = vec4(clamp(color, 0.0, 1.0), clamp(hdrColor.a, 0.0, 1.0));
+}
@@ -0,0 +1,145 @@
+/**
+ * Evaluates a smooth curve through control points at x.
+ * Uses monotone cubic interpolation so the curve never overshoots between points.
+ * @param {number[][]} points - [x, y] control points in the 0-1 range
+ * @param {number} x - Input value (0-1)
+ * @returns {number} Output value, clamped to 0-1
+ */
+export function evaluateCurve(points, x) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0]);
+  if (sorted.length === 0) {
+    return x;
+  }
+  if (sorted.length === 1 || x <= sorted[0][0]) {
+    return clamp01(sorted[0][1]);
+  }
+  const last = sorted[sorted.length - 1];
+  if (x >= last[0]) {
+    return clamp01(last[1]);
+  }
+
+  // Secant slopes between points, then Fritsch-Carlson tangents
+  const n = sorted.length;
+  const slopes = [];
+  for (let i = 0; i < n - 1; i++) {
+    const dx = sorted[i + 1][0] - sorted[i][0];
+    slopes.push(dx > 0 ? (sorted[i + 1][1] - sorted[i][1]) / dx : 0);
+  }
+  const tangents = [slopes[0]];
+  for (let i = 1; i < n - 1; i++) {
+    tangents.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2);
+  }
+  tangents.push(slopes[n - 2]);
+  for (let i = 0; i < n - 1; i++) {
+    if (slopes[i] === 0) {
+      tangents[i] = 0;
+      tangents[i + 1] = 0;
+      continue;
+    }
+    const a = tangents[i] / slopes[i];
+    const b = tangents[i + 1] / slopes[i];
+    const length = Math.hypot(a, b);
+    if (length > 3) {
+      tangents[i] = (3 * a / length) * slopes[i];
+      tangents[i + 1] = (3 * b / length) * slopes[i];
+    }
+  }
+
+  let i = 0;
+  while (x > sorted[i + 1][0]) {
+    i++;
+  }
+  const [x0, y0] = sorted[i];
+  const [x1, y1] = sorted[i + 1];
+  const h = x1 - x0;
+  const t = (x - x0) / h;
+  const t2 = t * t;
+  const t3 = t2 * t;
+
+  const y = (2 * t3 - 3 * t2 + 1) * y0 +
+    (t3 - 2 * t2 + t) * h * tangents[i] +
+    (-2 * t3 + 3 * t2) * y1 +
+    (t3 - t2) * h * tangents[i + 1];
+  return clamp01(y);
+}
+
+/**
+ * Parses a color given as '#rgb', '#rrggbb' or [r, g, b] (0-255)
+ * @param {string|number[]} color - The color to parse
+ * @returns {number[]|null} [r, g, b] in the 0-255 range, or null if invalid
+ */
+export function parseColor(color) {
+  if (Array.isArray(color)) {
+    return color.length >= 3 ? color.slice(0, 3).map(Number) : null;
+  }
+  if (typeof color !== 'string') {
+    return null;
+  }
+
+  let hex = color.trim().replace(/^#/, '');
+  if (hex.length === 3) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    return null;
+  }
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Evaluates a gradient at a position
+ * @param {{position:number,color:string|number[]}[]} stops - Color stops
+ * @param {number} t - Position (0-1)
+ * @returns {number[]} [r, g, b] in the 0-255 range
+ */
+export function evaluateGradient(stops, t) {
+  const parsed = stops
+    .map(stop => ({ position: stop.position, color: parseColor(stop.color) }))
+    .filter(stop => stop.color && Number.isFinite(stop.position))
+    .sort((a, b) => a.position - b.position);
+
+  if (parsed.length === 0) {
+    return [t * 255, t * 255, t * 255];
+  }
+  if (t <= parsed[0].position) {
+    return parsed[0].color;
+  }
+  for (let i = 0; i < parsed.length - 1; i++) {
+    const from = parsed[i];
+    const to = parsed[i + 1];
+    if (t <= to.position) {
+      const span = to.position - from.position;
+      const amount = span > 0 ? (t - from.position) / span : 1;
+      return from.color.map((c, channel) => c + (to.color[channel] - c) * amount);
+    }
+  }
+  return parsed[parsed.length - 1].color;
+}
+
+/**
+ * Resolution of the lookup textures used by curves, gradient maps and gradient fills
+ */
+export const LUT_SIZE = 256;
+
+/**
+ * Fills a LUT_SIZE x 1 lookup image with opaque colors
+ * @param {p5.Image} image - The lookup image
+ * @param {Function} colorAt - Returns [r, g, b] (0-255) for a position in the 0-1 range
+ * @returns {p5.Image} The updated image
+ */
+export function writeLut(image, colorAt) {
+  image.loadPixels();
+  for (let i = 0; i < LUT_SIZE; i++) {
+    const color = colorAt(i / (LUT_SIZE - 1));
+    image.pixels[i * 4] = color[0];
+    image.pixels[i * 4 + 1] = color[1];
+    image.pixels[i * 4 + 2] = color[2];
+    image.pixels[i * 4 + 3] = 255;
+  }
+  image.updatePixels();
+  return image;
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
@@ -0,0 +1,73 @@
+import { FitModes, RESIZE_ANCHOR_POINTS, ResizeAnchors, ResizeModes } from '../constants.js';
+
+/**
+ * Computes where to draw a source so it fits a target area.
+ * Every mode except STRETCH keeps the aspect ratio and centers the source.
+ * @param {string} mode - One of the FitModes constants
+ * @param {number} sourceWidth - Source width in pixels
+ * @param {number} sourceHeight - Source height in pixels
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @returns {{x:number,y:number,width:number,height:number}}
+ */
+export function computeFitRect(mode, sourceWidth, sourceHeight, width, height) {
+  if (mode === FitModes.STRETCH || sourceWidth <= 0 || sourceHeight <= 0) {
+    return { x: 0, y: 0, width, height };
+  }
+
+  let scale = 1;
+  if (mode === FitModes.COVER) {
+    scale = Math.max(width / sourceWidth, height / sourceHeight);
+  } else if (mode === FitModes.CONTAIN) {
+    scale = Math.min(width / sourceWidth, height / sourceHeight);
+  }
+
+  const fittedWidth = sourceWidth * scale;
+  const fittedHeight = sourceHeight * scale;
+  return {
+    x: (width - fittedWidth) / 2,
+    y: (height - fittedHeight) / 2,
+    width: fittedWidth,
+    height: fittedHeight
+  };
+}
+
+/**
+ * Validates resize options, falling back to the defaults with a warning
+ * @param {Object} [options] - Resize options
+ * @param {string} [options.mode] - One of the ResizeModes constants (default: DISCARD)
+ * @param {string} [options.anchor] - One of the ResizeAnchors constants (default: CENTER)
+ * @returns {{mode: string, anchor: string}}
+ */
+export function resolveResizeOptions(options = {}) {
+  let { mode = ResizeModes.DISCARD, anchor = ResizeAnchors.CENTER } = options;
+  if (!Object.values(ResizeModes).includes(mode)) {
+    console.warn(`Invalid resize mode: ${mode}, using ${ResizeModes.DISCARD}`);
+    mode = ResizeModes.DISCARD;
+  }
+  if (!RESIZE_ANCHOR_POINTS[anchor]) {
+    console.warn(`Invalid resize anchor: ${anchor}, using ${ResizeAnchors.CENTER}`);
+    anchor = ResizeAnchors.CENTER;
+  }
+  return { mode, anchor };
+}
+
+/**
+ * Computes where to draw content at its own size so that the anchor point of
+ * the content lines up with the same point of the target area
+ * @param {string} anchor - One of the ResizeAnchors constants
+ * @param {number} sourceWidth - Content width in pixels
+ * @param {number} sourceHeight - Content height in pixels
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @returns {{x:number,y:number,width:number,height:number}}
+ */
+export function computeAnchorRect(anchor, sourceWidth, sourceHeight, width, height) {
+  const [fx, fy] = RESIZE_ANCHOR_POINTS[anchor] || RESIZE_ANCHOR_POINTS[ResizeAnchors.CENTER];
+  return {
+    x: (width - sourceWidth) * fx,
+    y: (height - sourceHeight) * fy,
+    width: sourceWidth,
+    height: sourceHeight
+  };
+}
@@ -0,0 +1,99 @@
+import { BufferFormats } from '../constants.js';
+
+// Formats to try, in order, when a float format is requested
+const FALLBACKS = {
+  [BufferFormats.FLOAT]: [BufferFormats.FLOAT, BufferFormats.HALF_FLOAT],
+  [BufferFormats.HALF_FLOAT]: [BufferFormats.HALF_FLOAT, BufferFormats.FLOAT]
+};
+
+// Float support of each WebGL context, and the fallbacks already reported
+const supportCache = new WeakMap();
+
+/**
+ * Detects which float formats a WebGL context can render to. Uses the same
+ * extensions as p5.Framebuffer, which would otherwise fall back to 8 bits itself.
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - The context
+ * @returns {Object} { float, half, warned }
+ */
+function detectSupport(gl) {
+  const has = name => typeof gl.getExtension === 'function' && !!gl.getExtension(name);
+  if (typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext) {
+    const colorBufferFloat = has('EXT_color_buffer_float');
+    return {
+      float: colorBufferFloat && has('EXT_float_blend'),
+      half: colorBufferFloat,
+      warned: new Set()
+    };
+  }
+  return {
+    float: has('OES_texture_float'),
+    half: has('OES_texture_half_float'),
+    warned: new Set()
+  };
+}
+
+/**
+ * Gets the float support of the canvas of a p5 instance
+ * @param {p5} p - The p5.js instance
+ * @returns {Object} { float, half, warned }
+ */
+function getSupport(p) {
+  const gl = p._renderer && p._renderer.drawingContext;
+  if (!gl || typeof gl !== 'object') {
+    return { float: false, half: false, warned: new Set() };
+  }
+  if (!supportCache.has(gl)) {
+    supportCache.set(gl, detectSupport(gl));
+  }
+  return supportCache.get(gl);
+}
+
+/**
+ * Whether the canvas can render to a buffer format
+ * @param {p5} p - The p5.js instance
+ * @param {string} format - One of the BufferFormats constants
+ * @returns {boolean}
+ */
+export function isBufferFormatSupported(p, format) {
+  if (format === BufferFormats.UNSIGNED_BYTE) {
+    return true;
+  }
+  const support = getSupport(p);
+  return format === BufferFormats.FLOAT ? support.float : support.half;
+}
+
+/**
+ * Picks the format to create buffers with: the requested one if the canvas
+ * supports it, otherwise the other float format, otherwise 8 bits.
+ * Each fallback is reported once per canvas.
+ * @param {p5} p - The p5.js instance
+ * @param {string} format - One of the BufferFormats constants
+ * @returns {string} A supported BufferFormats constant
+ */
+export function resolveBufferFormat(p, format) {
+  const candidates = FALLBACKS[format];
+  if (!candidates) {
+    return BufferFormats.UNSIGNED_BYTE;
+  }
+
+  const resolved = candidates.find(candidate => isBufferFormatSupported(p, candidate)) || BufferFormats.UNSIGNED_BYTE;
+  const { warned } = getSupport(p);
+  if (resolved !== format && !warned.has(format)) {
+    warned.add(format);
+    console.warn(`${format} buffers are not supported by this browser, using ${resolved} instead`);
+  }
+  return resolved;
+}
+
+/**
+ * Converts a BufferFormats constant to the matching p5.js framebuffer format
+ * @param {p5} p - The p5.js instance
+ * @param {string} format - One of the BufferFormats constants
+ * @returns {string} p.UNSIGNED_BYTE, p.HALF_FLOAT or p.FLOAT
+ */
+export function toP5Format(p, format) {
+  if (format === BufferFormats.FLOAT) {
+    return p.FLOAT;
+  }
+  return format === BufferFormats.HALF_FLOAT ? p.HALF_FLOAT : p.UNSIGNED_BYTE;
+}
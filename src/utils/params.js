@@ -0,0 +1,75 @@
+import { parseColor } from './adjustments.js';
+
+/**
+ * Deep-copies a parameter value so callers cannot mutate stored params
+ * @param {*} value - The value to copy
+ * @returns {*}
+ */
+export function cloneParam(value) {
+  return value && typeof value === 'object'
+    ? JSON.parse(JSON.stringify(value))
+    : value;
+}
+
+/**
+ * Builds a params object from the defaults of a parameter spec
+ * (see ADJUSTMENT_PARAMS and EFFECT_PARAMS)
+ * @param {Object} spec - Parameter spec
+ * @returns {Object}
+ */
+export function getDefaultParams(spec = {}) {
+  const params = {};
+  Object.keys(spec).forEach(key => {
+    params[key] = cloneParam(spec[key].default);
+  });
+  return params;
+}
+
+/**
+ * Validates updates against a parameter spec and writes them into params.
+ * Numbers are clamped to their range, colors must be parseable, choices must be one
+ * of the spec's options and arrays are copied.
+ * Invalid or unknown entries are skipped with a warning.
+ * @param {Object} spec - Parameter spec
+ * @param {Object} params - Params object to update in place
+ * @param {Object} updates - New values
+ * @param {string} label - Name used in warnings (e.g. "LEVELS adjustment")
+ * @returns {Object} The updated params object
+ */
+export function applyParams(spec, params, updates, label) {
+  Object.keys(updates).forEach(key => {
+    if (!spec[key]) {
+      console.warn(`Unknown parameter "${key}" for ${label}`);
+      return;
+    }
+
+    const value = updates[key];
+    const defaultValue = spec[key].default;
+    if (spec[key].options) {
+      if (!spec[key].options.includes(value)) {
+        console.warn(`Invalid value for ${key}: ${value} (expected one of ${spec[key].options.join(', ')})`);
+        return;
+      }
+      params[key] = value;
+    } else if (typeof defaultValue === 'number') {
+      if (!Number.isFinite(value)) {
+        console.warn(`Invalid value for ${key}: ${value}`);
+        return;
+      }
+      params[key] = Math.max(spec[key].min, Math.min(spec[key].max, value));
+    } else if (typeof defaultValue === 'string') {
+      if (!parseColor(value)) {
+        console.warn(`Invalid color for ${key}: ${value}`);
+        return;
+      }
+      params[key] = cloneParam(value);
+    } else {
+      if (!Array.isArray(value)) {
+        console.warn(`Invalid value for ${key}: expected an array`);
+        return;
+      }
+      params[key] = cloneParam(value);
+    }
+  });
+  return params;
+}
@@ -0,0 +1,35 @@
+/**
+ * Whether a value is a layer selector (a plain object such as { tag: 'fx' })
+ * rather than a layer ID or name
+ * @param {*} value - The value passed where a layer ID or name is expected
+ * @returns {boolean}
+ */
+export function isLayerSelector(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Tests a layer against a selector. All given criteria must match:
+ * - tag: a tag (or array of tags) the layer must have
+ * - name: the exact name, or a RegExp tested against the name
+ * - any other key: compared with the layer property of the same name (e.g. visible, blendMode)
+ * @param {Layer} layer - The layer to test
+ * @param {Object} selector - The selector
+ * @returns {boolean}
+ */
+export function matchesSelector(layer, selector) {
+  return Object.keys(selector).every(key => {
+    const expected = selector[key];
+    if (expected === undefined) {
+      return true;
+    }
+    if (key === 'tag') {
+      const tags = Array.isArray(expected) ? expected : [expected];
+      return tags.every(tag => layer.hasTag(tag));
+    }
+    if (key === 'name') {
+      return expected instanceof RegExp ? expected.test(layer.name) : layer.name === expected;
+    }
+    return layer[key] === expected;
+  });
+}
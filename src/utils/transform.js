@@ -0,0 +1,108 @@
+/**
+ * Creates the identity layer transform.
+ * Positions are in canvas pixels (top-left origin), rotation is in radians and
+ * the anchor is normalized to the layer size (0,0 = top-left, 1,1 = bottom-right).
+ * @returns {{x:number,y:number,scaleX:number,scaleY:number,rotation:number,anchorX:number,anchorY:number}}
+ */
+export function createTransform() {
+  return {
+    x: 0,
+    y: 0,
+    scaleX: 1,
+    scaleY: 1,
+    rotation: 0,
+    anchorX: 0,
+    anchorY: 0
+  };
+}
+
+/**
+ * Maps a point from layer pixels to canvas pixels.
+ * @param {Object} transform - Layer transform (see createTransform).
+ * @param {number} width - Layer width in pixels.
+ * @param {number} height - Layer height in pixels.
+ * @param {number} x - X position inside the layer.
+ * @param {number} y - Y position inside the layer.
+ * @returns {{x:number,y:number}}
+ */
+export function layerToCanvas(transform, width, height, x, y) {
+  const cos = Math.cos(transform.rotation);
+  const sin = Math.sin(transform.rotation);
+  const dx = (x - transform.anchorX * width) * transform.scaleX;
+  const dy = (y - transform.anchorY * height) * transform.scaleY;
+
+  return {
+    x: transform.x + cos * dx - sin * dy,
+    y: transform.y + sin * dx + cos * dy
+  };
+}
+
+/**
+ * Builds the column-major 3x3 matrix that maps canvas pixels (top-left origin)
+ * to normalized layer coordinates, as expected by the compositor shader.
+ * @param {Object} transform - Layer transform (see createTransform).
+ * @param {number} width - Layer width in pixels.
+ * @param {number} height - Layer height in pixels.
+ * @returns {number[]|null} Matrix values, or null if the transform is degenerate.
+ */
+export function createCanvasToLayerMatrix(transform, width, height) {
+  const sx = transform.scaleX * width;
+  const sy = transform.scaleY * height;
+  if (!sx || !sy) {
+    return null;
+  }
+
+  const cos = Math.cos(transform.rotation);
+  const sin = Math.sin(transform.rotation);
+
+  // Inverse rotation and scale, followed by the anchor offset
+  const a = cos / sx;
+  const b = sin / sx;
+  const d = -sin / sy;
+  const e = cos / sy;
+  const tu = transform.anchorX - (a * transform.x + b * transform.y);
+  const tv = transform.anchorY - (d * transform.x + e * transform.y);
+
+  return [
+    a, d, 0,
+    b, e, 0,
+    tu, tv, 1
+  ];
+}
+
+/**
+ * Adjusts a layer's placement so that each of its pixels covers a whole number
+ * of canvas pixels. Transformed layers keep their position with their scale
+ * rounded; other layers are scaled up as far as they fit and centered.
+ * @param {Object|null} transform - Layer transform, or null for a layer stretched over the canvas
+ * @param {Object} layer - Layer size: { width, height, density }
+ * @param {Object} canvas - Canvas size: { width, height, density }
+ * @returns {Object} The transform to composite with (see createTransform)
+ */
+export function createIntegerScaleTransform(transform, layer, canvas) {
+  // Scale factors in device pixels, so that high-density canvases stay crisp too
+  const toCanvasScale = factor => factor * layer.density / canvas.density;
+
+  if (transform) {
+    const round = scale => Math.sign(scale) * Math.max(1, Math.round(Math.abs(scale) * canvas.density / layer.density));
+    return {
+      ...transform,
+      scaleX: transform.scaleX ? toCanvasScale(round(transform.scaleX)) : 0,
+      scaleY: transform.scaleY ? toCanvasScale(round(transform.scaleY)) : 0
+    };
+  }
+
+  const factor = Math.max(1, Math.floor(Math.min(
+    (canvas.width * canvas.density) / (layer.width * layer.density),
+    (canvas.height * canvas.density) / (layer.height * layer.density)
+  )));
+  const scale = toCanvasScale(factor);
+  return {
+    ...createTransform(),
+    // Snap the top-left corner to a device pixel
+    x: Math.floor((canvas.width - layer.width * scale) * canvas.density / 2) / canvas.density,
+    y: Math.floor((canvas.height - layer.height * scale) * canvas.density / 2) / canvas.density,
+    scaleX: scale,
+    scaleY: scale
+  };
+}
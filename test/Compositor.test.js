@@ -0,0 +1,476 @@
+import { Compositor } from '../src/Compositor.js';
+import { LayerSystem } from '../src/LayerSystem.js';
+import { GroupModes, AdjustmentTypes, BlendModes, BufferFormats, EffectTypes, ToneMappingOperators } from '../src/constants.js';
+import { createP5Stub } from './utils/p5Stub.js';
+
+function getLayerTextures(compositor) {
+  return compositor.shader.setUniform.mock.calls
+    .filter(([name]) => name === 'layerTexture')
+    .map(([, texture]) => texture);
+}
+
+describe('Compositor', () => {
+  test('isolated groups composite their children into group buffers', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const base = system.createLayer('Base');
+    const group = system.createGroup('FX', { mode: GroupModes.ISOLATED });
+    const child = system.createLayer('Glow', { group: 'FX' });
+
+    system.render();
+
+    const compositor = system.compositor;
+    const groupBuffers = compositor.groupBuffers[0];
+    expect(groupBuffers).toBeDefined();
+
+    // Base, then the child inside the group, then the group result itself
+    const textures = getLayerTextures(compositor);
+    expect(textures).toEqual([base.framebuffer, child.framebuffer, groupBuffers.b]);
+    expect(group.framebuffer).toBeNull();
+  });
+
+  test('pass-through groups at full opacity skip the intermediate buffer', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    system.createGroup('FX');
+    const child = system.createLayer('Glow', { group: 'FX' });
+
+    system.render();
+
+    expect(system.compositor.groupBuffers).toEqual([]);
+    expect(getLayerTextures(system.compositor)).toEqual([child.framebuffer]);
+  });
+
+  test('hidden groups skip all of their children', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    system.createGroup('FX', { mode: GroupModes.ISOLATED }).hide();
+    system.createLayer('Glow', { group: 'FX' });
+
+    system.render();
+
+    expect(p5.createShader).not.toHaveBeenCalled();
+  });
+
+  test('dispose removes group buffers', () => {
+    const p5 = createP5Stub();
+    const compositor = new Compositor(p5);
+    const pair = compositor._ensureGroupBuffers(0);
+
+    compositor.dispose();
+
+    expect(pair.a.remove).toHaveBeenCalled();
+    expect(pair.b.remove).toHaveBeenCalled();
+    expect(compositor.groupBuffers).toEqual([]);
+  });
+
+  test('consecutive clipped layers share the nearest non-clipped base', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const base = system.createLayer('Shape');
+    system.createLayer('Texture').setClipping(true);
+    system.createLayer('Shading', { clipping: true });
+
+    system.render();
+
+    const clipTextures = system.compositor.shader.setUniform.mock.calls
+      .filter(([name]) => name === 'clipTexture')
+      .map(([, texture]) => texture);
+    const hasClip = system.compositor.shader.setUniform.mock.calls
+      .filter(([name]) => name === 'hasClip')
+      .map(([, value]) => value);
+
+    expect(hasClip).toEqual([false, true, true]);
+    expect(clipTextures.slice(1)).toEqual([base.framebuffer, base.framebuffer]);
+  });
+
+  test('hiding the clipping base hides the layers clipped to it', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    system.createLayer('Shape').hide();
+    const clipped = system.createLayer('Texture', { clipping: true });
+    const other = system.createLayer('Other');
+
+    system.render();
+
+    const textures = getLayerTextures(system.compositor);
+    expect(textures).not.toContain(clipped.framebuffer);
+    expect(textures).toEqual([other.framebuffer]);
+  });
+
+  test('layers clipped to a group are drawn unclipped with a single warning', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    system.createGroup('Folder');
+    system.createLayer('Shape', { group: 'Folder' });
+    system.createLayer('Texture', { clipping: true });
+
+    system.render();
+    system.getLayer('Texture').markDirty();
+    system.render();
+
+    const hasClip = system.compositor.shader.setUniform.mock.calls
+      .filter(([name]) => name === 'hasClip')
+      .map(([, value]) => value);
+    expect(hasClip.every(value => value === false)).toBe(true);
+    expect(warn.mock.calls.filter(([message]) => message.includes('drawn unclipped'))).toHaveLength(1);
+    warn.mockRestore();
+  });
+
+  test('transformed layers pass a canvas-to-layer matrix to the shader', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    system.createLayer('Stretched');
+    system.createLayer('Sprite', { width: 256, height: 256 }).setPosition(100, 50);
+
+    system.render();
+
+    const calls = system.compositor.shader.setUniform.mock.calls;
+    const hasTransform = calls.filter(([name]) => name === 'hasTransform').map(([, value]) => value);
+    const matrices = calls.filter(([name]) => name === 'layerTransform').map(([, value]) => value);
+
+    expect(hasTransform).toEqual([false, true]);
+    expect(matrices[1][6]).toBeCloseTo(-100 / 256);
+    expect(matrices[1][7]).toBeCloseTo(-50 / 256);
+  });
+
+  test('layers scaled to zero are skipped', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    system.createLayer('Hidden').setScale(0);
+
+    system.render();
+
+    expect(p5.createShader).not.toHaveBeenCalled();
+  });
+
+  test('adjustment layers recolor the accumulated background', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const base = system.createLayer('Base');
+    const levels = system.createAdjustmentLayer(AdjustmentTypes.LEVELS, { gamma: 2 }).setOpacity(0.5);
+    system.createLayer('Top');
+
+    system.render();
+
+    const compositor = system.compositor;
+    const uniforms = Object.fromEntries(compositor.adjustmentShader.setUniform.mock.calls);
+
+    // The adjustment reads the buffer holding Base and is written to the other one
+    const { a, b } = compositor._ensureBuffers();
+    expect(uniforms.backgroundTexture).toBe(b);
+    expect(uniforms.adjustmentType).toBe(2);
+    expect(uniforms.params1).toEqual([0, 1, 2, 0]);
+    expect(uniforms.params2).toEqual([0, 1, 0, 0]);
+    expect(uniforms.layerOpacity).toBe(0.5);
+    expect(uniforms.hasMask).toBe(false);
+    expect(getLayerTextures(compositor)).toEqual([base.framebuffer, system.getLayer('Top').framebuffer]);
+    expect(compositor.shader.setUniform).toHaveBeenCalledWith('backgroundTexture', a);
+    expect(levels.framebuffer).toBeNull();
+  });
+
+  test('hidden adjustment layers are skipped', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    system.createLayer('Base');
+    system.createAdjustmentLayer(AdjustmentTypes.INVERT).hide();
+
+    system.render();
+
+    expect(system.compositor.adjustmentShader).toBeNull();
+  });
+
+  test('layer effects are composited from a cache that refreshes after drawing', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const layer = system.createLayer('Shape');
+    const shadow = layer.addEffect(EffectTypes.DROP_SHADOW, { offsetX: 10 });
+
+    system.render();
+
+    const renderer = system.compositor.effectRenderer;
+    const cache = layer._effectCache;
+    expect(getLayerTextures(system.compositor)).toEqual([cache.texture]);
+    expect(renderer.shader.setUniform).toHaveBeenCalledWith('offset', [-10 / 800, 5 / 600]);
+
+    // Unchanged layers reuse the cached result
+    const passCount = () => renderer.shader.setUniform.mock.calls
+      .filter(([name]) => name === 'effectPass').length;
+    const passes = passCount();
+    system.render();
+    expect(passCount()).toBe(passes);
+
+    layer.begin();
+    layer.end();
+    system.render();
+    expect(passCount()).toBe(passes * 2);
+
+    layer.setEffectEnabled(shadow.id, false);
+    system.render();
+    expect(getLayerTextures(system.compositor).pop()).toBe(layer.framebuffer);
+  });
+
+  test('clean frames draw the cached composite without recompositing', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const base = system.createLayer('Base');
+    const top = system.createLayer('Top');
+
+    system.render();
+    const compositor = system.compositor;
+    const cached = compositor._cachedResult;
+    expect(getLayerTextures(compositor)).toEqual([base.framebuffer, top.framebuffer]);
+
+    compositor.shader.setUniform.mockClear();
+    system.render();
+    expect(getLayerTextures(compositor)).toEqual([]);
+    expect(p5.image).toHaveBeenLastCalledWith(cached, 0, 0);
+
+    // Property setters and masks invalidate the cache
+    base.setOpacity(0.5);
+    system.render();
+    expect(getLayerTextures(compositor)).toEqual([base.framebuffer, top.framebuffer]);
+
+    compositor.shader.setUniform.mockClear();
+    top.setMask(p5.createImage(800, 600));
+    system.render();
+    expect(getLayerTextures(compositor)).toEqual([base.framebuffer, top.framebuffer]);
+  });
+
+  test('layers masked by a framebuffer are recomposited when the mask is redrawn', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const base = system.createLayer('Base');
+    const masked = system.createLayer('Masked');
+    const maskBuffer = p5.createFramebuffer();
+    masked.setMask(maskBuffer);
+
+    system.render();
+    const compositor = system.compositor;
+    const revision = masked.revision;
+
+    // The mask is redrawn without going through the layer
+    maskBuffer.begin();
+    maskBuffer.end();
+    compositor.shader.setUniform.mockClear();
+    system.render();
+    expect(masked.revision).toBe(revision);
+    expect(getLayerTextures(compositor)).toEqual([base.framebuffer, masked.framebuffer]);
+
+    // Layers below the masked one come from the partial composite from then on
+    compositor.shader.setUniform.mockClear();
+    system.render();
+    expect(getLayerTextures(compositor)).toEqual([masked.framebuffer]);
+    expect(compositor._partialKeys).toEqual([`${base.id}:${base.revision}`]);
+  });
+
+  test('only layers above the lowest changed layer are blended again', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const base = system.createLayer('Base');
+    const middle = system.createLayer('Middle');
+    const top = system.createLayer('Top');
+    const compositor = system.compositor;
+    const redraw = (layer) => {
+      layer.begin();
+      layer.end();
+    };
+
+    system.render();
+    redraw(top);
+    system.render();
+    expect(compositor._partialKeys).toHaveLength(2);
+
+    compositor.shader.setUniform.mockClear();
+    redraw(top);
+    system.render();
+    expect(getLayerTextures(compositor)).toEqual([top.framebuffer]);
+
+    // Clipped layers are blended again together with their base
+    top.setClipping(true);
+    system.render();
+    compositor.shader.setUniform.mockClear();
+    redraw(top);
+    system.render();
+    expect(getLayerTextures(compositor)).toEqual([middle.framebuffer, top.framebuffer]);
+
+    // Changes below the partial composite rebuild it
+    compositor.shader.setUniform.mockClear();
+    redraw(base);
+    system.render();
+    expect(getLayerTextures(compositor)).toEqual([base.framebuffer, middle.framebuffer, top.framebuffer]);
+  });
+
+  test('fill opacity fades the layer pixels but not the effects beneath them', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const plain = system.createLayer('Plain').setFillOpacity(0.5);
+    const title = system.createLayer('Title', { fillOpacity: 0.25 });
+    title.addEffect(EffectTypes.STROKE, { size: 4 });
+
+    system.render();
+
+    const uniforms = (name) => system.compositor.shader.setUniform.mock.calls
+      .filter(([uniform]) => uniform === name)
+      .map(([, value]) => value);
+    const cache = title._effectCache;
+    expect(uniforms('fillOpacity')).toEqual([0.5, 0.25]);
+    expect(uniforms('hasStyles')).toEqual([false, true]);
+    expect(uniforms('styleTexture')).toEqual([plain.framebuffer, cache.styles]);
+    expect([cache.styleA, cache.styleB]).toContain(cache.styles);
+    expect(title.toJSON().fillOpacity).toBe(0.25);
+
+    // Groups have no pixels of their own
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const group = system.createGroup('Folder').setFillOpacity(0.5);
+    expect(group.fillOpacity).toBe(1);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  test('depth-tested layers are hidden behind the depth of the layers below', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const scene = system.createLayer('Scene', { depth: true });
+    const glow = system.createLayer('Glow', { depth: true, depthTest: true });
+
+    system.render();
+
+    const compositor = system.compositor;
+    const uniforms = (shader, name) => shader.setUniform.mock.calls
+      .filter(([uniform]) => uniform === name)
+      .map(([, value]) => value);
+    const { a, b } = compositor.depthBuffers;
+    expect(uniforms(compositor.shader, 'hasDepthTest')).toEqual([false, true]);
+    expect(uniforms(compositor.shader, 'layerDepthTexture')[1]).toBe(glow.framebuffer.depth);
+    expect(uniforms(compositor.shader, 'sceneDepthTexture')[1]).toBe(b);
+    expect(uniforms(compositor.depthShader, 'layerDepthTexture')).toEqual([scene.framebuffer.depth, glow.framebuffer.depth]);
+    expect(uniforms(compositor.depthShader, 'sceneDepthTexture')).toEqual([a, b]);
+
+    // Without depth-tested layers no depth is tracked
+    glow.setDepthTest(false);
+    compositor.depthShader.setUniform.mockClear();
+    system.render();
+    expect(compositor.depthShader.setUniform).not.toHaveBeenCalled();
+
+    // Layers need a depth buffer to be tested
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const flat = system.createLayer('Flat').setDepthTest(true);
+    expect(flat.depthTest).toBe(false);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  test('depth testing is skipped with a warning when float textures are unsupported', () => {
+    const p5 = createP5Stub();
+    p5._renderer.drawingContext.getExtension.mockImplementation(() => null);
+    const system = new LayerSystem(p5);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    system.createLayer('Scene', { depth: true });
+    const glow = system.createLayer('Glow', { depth: true, depthTest: true });
+    system.render();
+    glow.markDirty();
+    system.render();
+
+    const compositor = system.compositor;
+    expect(compositor.depthBuffers).toBeNull();
+    const hasDepthTest = compositor.shader.setUniform.mock.calls.filter(([name]) => name === 'hasDepthTest');
+    expect(hasDepthTest.every(([, value]) => value === false)).toBe(true);
+    expect(warn.mock.calls.filter(([message]) => message.includes('Depth testing'))).toHaveLength(1);
+    warn.mockRestore();
+  });
+
+  test('HDR composites in float buffers and tone maps the result onto the canvas', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    system.createLayer('Base');
+    system.createLayer('Glow', { format: BufferFormats.FLOAT, blendMode: BlendModes.ADD });
+    expect(p5.createFramebuffer).toHaveBeenLastCalledWith(expect.objectContaining({ format: p5.FLOAT }));
+
+    const settings = system.setHDR(true, { toneMapping: ToneMappingOperators.REINHARD, exposure: 1 });
+    expect(settings).toEqual({ format: BufferFormats.HALF_FLOAT, toneMapping: ToneMappingOperators.REINHARD, exposure: 1 });
+    system.render();
+
+    const compositor = system.compositor;
+    const uniforms = (shader, name) => shader.setUniform.mock.calls
+      .filter(([uniform]) => uniform === name)
+      .map(([, value]) => value);
+    const formats = p5.createFramebuffer.mock.calls.map(([options]) => options.format);
+    expect(formats.slice(-3)).toEqual([p5.HALF_FLOAT, p5.HALF_FLOAT, p5.UNSIGNED_BYTE]);
+    expect(uniforms(compositor.shader, 'unclamped')).toEqual([true, true]);
+    expect(uniforms(compositor.toneMapShader, 'hdrTexture')).toEqual([compositor._cachedResult]);
+    expect(uniforms(compositor.toneMapShader, 'exposure')).toEqual([2]);
+    expect(uniforms(compositor.toneMapShader, 'toneMapping')).toEqual([1]);
+    expect(p5.image).toHaveBeenLastCalledWith(compositor.outputBuffer, 0, 0);
+
+    // Back to 8 bits: the buffers are recreated and the result is drawn directly
+    const hdrBuffer = compositor.bufferA;
+    expect(system.setHDR(false)).toBeNull();
+    system.render();
+    expect(hdrBuffer.remove).toHaveBeenCalled();
+    expect(compositor.outputBuffer).toBeNull();
+    expect(p5.image).toHaveBeenLastCalledWith(compositor._cachedResult, 0, 0);
+  });
+
+  test('screen and overlay layers over an HDR backdrop blend only its 0-1 part', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    system.createLayer('Glow', { format: BufferFormats.HALF_FLOAT });
+    system.createLayer('Screen', { blendMode: BlendModes.SCREEN });
+    system.createLayer('Overlay', { blendMode: BlendModes.OVERLAY });
+    system.createLayer('Sparks', { blendMode: BlendModes.ADD });
+    const uniforms = name => system.compositor.shader.setUniform.mock.calls
+      .filter(([uniform]) => uniform === name)
+      .map(([, value]) => value);
+
+    system.setHDR(true);
+    system.render();
+    expect(uniforms('clampBlendInputs')).toEqual([false, true, true, false]);
+
+    // 8-bit compositing never clamps: the buffers already hold 0-1 colors
+    system.setHDR(false);
+    system.compositor.shader.setUniform.mockClear();
+    system.render();
+    expect(uniforms('clampBlendInputs')).toEqual([false, false, false, false]);
+  });
+
+  test('float formats fall back to what the browser supports', () => {
+    const p5 = createP5Stub();
+    const gl = p5._renderer.drawingContext;
+    gl.getExtension.mockImplementation(name => (name === 'OES_texture_half_float' ? {} : null));
+    const system = new LayerSystem(p5);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(system.createLayer('Glow', { format: BufferFormats.FLOAT }).format).toBe(BufferFormats.HALF_FLOAT);
+    expect(system.setHDR(true, { format: BufferFormats.FLOAT }).format).toBe(BufferFormats.HALF_FLOAT);
+
+    const other = createP5Stub();
+    other._renderer.drawingContext.getExtension.mockImplementation(() => null);
+    const plain = new LayerSystem(other);
+    expect(plain.createLayer('Glow', { format: BufferFormats.HALF_FLOAT }).format).toBe(BufferFormats.UNSIGNED_BYTE);
+    expect(plain.setHDR(true)).toBeNull();
+    expect(plain.hdr).toBe(false);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
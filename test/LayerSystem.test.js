@@ -1,4 +1,5 @@
 import { LayerSystem } from '../src/LayerSystem.js';
+import { AdjustmentTypes, BlendModes, BufferFormats, ClearModes, EffectTypes, FillTypes, FitModes, ResizeAnchors, ResizeModes, TextureFiltering } from '../src/constants.js';
 import { createP5Stub } from './utils/p5Stub.js';
 
 describe('LayerSystem', () => {
@@ -70,6 +71,63 @@ describe('LayerSystem', () => {
     expect(layer.framebuffer).not.toBe(originalFramebuffer);
   });
 
+  test('resize modes keep drawn content, scaled or placed at an anchor', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const layer = system.createLayer('Sketch');
+    system.begin('Sketch');
+    system.end();
+
+    system.setAutoResize(true, { mode: ResizeModes.ANCHOR, anchor: ResizeAnchors.BOTTOM_RIGHT });
+    let previous = layer.framebuffer;
+    p5.width = 1000;
+    p5.height = 700;
+    system._checkResize();
+
+    // The old 800x600 content sits in the bottom-right corner of the new layer
+    expect(p5.image).toHaveBeenLastCalledWith(previous, 200, 100, 800, 600);
+    expect(previous.remove).toHaveBeenCalled();
+
+    previous = layer.framebuffer;
+    layer.resize(500, 350, 1, { mode: ResizeModes.SCALE });
+    expect(p5.image).toHaveBeenLastCalledWith(previous, 0, 0, 500, 350);
+
+    // Discarding leaves the new layer empty
+    p5.image.mockClear();
+    layer.resize(400, 300);
+    expect(p5.image).not.toHaveBeenCalled();
+  });
+
+  test('nearest filtering is passed to the framebuffer and kept when changed', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const layer = system.createLayer('Sprites', { width: 160, height: 90, filtering: TextureFiltering.NEAREST });
+    expect(p5.createFramebuffer).toHaveBeenLastCalledWith(expect.objectContaining({ textureFiltering: p5.NEAREST }));
+
+    layer.hasBeenDrawnTo = true;
+    const previous = layer.framebuffer;
+    system.setFiltering('Sprites', TextureFiltering.LINEAR);
+    expect(layer.filtering).toBe(TextureFiltering.LINEAR);
+    expect(p5.createFramebuffer.mock.lastCall[0].textureFiltering).toBeUndefined();
+    expect(p5.image).toHaveBeenLastCalledWith(previous, 0, 0, 160, 90);
+  });
+
+  test('integer scaling composites whole multiples of the layer size', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const layer = system.createLayer('Sprites', { width: 160, height: 90 });
+    expect(layer.compositeTransform).toBeNull();
+
+    system.setIntegerScale('Sprites', true);
+    expect(layer.compositeTransform).toMatchObject({ x: 0, y: 75, scaleX: 5, scaleY: 5, anchorX: 0, anchorY: 0 });
+    expect(layer.layerToCanvas(160, 90)).toEqual({ x: 800, y: 525 });
+
+    layer.setPosition(10, 20).setScale(2.6, -1.2);
+    expect(layer.compositeTransform).toMatchObject({ x: 10, y: 20, scaleX: 3, scaleY: -1 });
+  });
+
   test('pixel density changes trigger framebuffer recreation even without size change', () => {
     const p5 = createP5Stub();
     const system = new LayerSystem(p5);
@@ -85,4 +143,918 @@ describe('LayerSystem', () => {
     expect(layer.density).toBe(2);
     expect(layer.framebuffer).not.toBe(originalFramebuffer);
   });
+
+  test('groups list their children directly beneath them', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const background = system.createLayer('Background');
+    const group = system.createGroup('FX');
+    system.createLayer('Glow', { group: 'FX' });
+    system.createLayer('Sparks', { group: group.id });
+    system.createLayer('UI');
+
+    expect(system.getLayers().map((layer) => layer.name)).toEqual(['Background', 'Glow', 'Sparks', 'FX', 'UI']);
+    expect(system.getLayer('Glow').group).toBe(group);
+    expect(background.group).toBeNull();
+
+    const info = system.getLayerInfo().find((entry) => entry.name === 'FX');
+    expect(info.isGroup).toBe(true);
+    expect(info.childIds).toEqual([system.getLayer('Glow').id, system.getLayer('Sparks').id]);
+  });
+
+  test('addToGroup refuses to nest a group inside itself', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const outer = system.createGroup('Outer');
+    const inner = system.createGroup('Inner', { group: 'Outer' });
+
+    expect(system.addToGroup('Outer', 'Inner')).toBeNull();
+    expect(outer.group).toBeNull();
+    expect(inner.group).toBe(outer);
+
+    warnSpy.mockRestore();
+  });
+
+  test('removing a group removes and disposes its children', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    system.createGroup('FX');
+    const child = system.createLayer('Glow', { group: 'FX' });
+    const framebuffer = child.framebuffer;
+
+    system.removeLayer('FX');
+
+    expect(system.getLayers()).toEqual([]);
+    expect(system.getLayer('Glow')).toBeNull();
+    expect(framebuffer.remove).toHaveBeenCalled();
+  });
+
+  test('render() only passes root-level layers to the compositor', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const renderSpy = jest.spyOn(system.compositor, 'render').mockImplementation(() => {});
+
+    const base = system.createLayer('Base');
+    const group = system.createGroup('FX');
+    system.createLayer('Glow', { group: 'FX' });
+
+    system.render();
+
+    expect(renderSpy.mock.calls[0][0]).toEqual([base, group]);
+  });
+
+  test('clipToBelow and releaseClipping toggle the clipping flag', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    system.createLayer('Shape');
+    const texture = system.createLayer('Texture');
+
+    expect(system.clipToBelow('Texture')).toBe(texture);
+    expect(texture.toJSON().clipping).toBe(true);
+
+    system.releaseClipping('Texture');
+    expect(texture.clipping).toBe(false);
+  });
+
+  test('toJSON includes the layer transform once one is set', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const layer = system.createLayer('Sprite', { width: 256, height: 256 });
+
+    expect(layer.toJSON().transform).toBeNull();
+
+    layer.setPosition(10, 20).setScale(2).setRotation(Math.PI).setAnchor(0.5, 0.5);
+
+    expect(layer.toJSON().transform).toEqual({
+      x: 10,
+      y: 20,
+      scaleX: 2,
+      scaleY: 2,
+      rotation: Math.PI,
+      anchorX: 0.5,
+      anchorY: 0.5
+    });
+
+    layer.resetTransform();
+    expect(layer.transform).toBeNull();
+  });
+
+  test('duplicateLayer copies properties and pixels directly above the source', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const mask = { id: 'mask' };
+
+    system.createLayer('Bottom');
+    const source = system.createLayer('Art', { width: 256, height: 128 })
+      .setOpacity(0.5)
+      .setBlendMode('MULTIPLY')
+      .setMask(mask)
+      .setPosition(10, 20);
+    system.createLayer('Top');
+
+    const copy = system.duplicateLayer('Art');
+
+    expect(copy.name).toBe('Art copy');
+    expect(copy.opacity).toBe(0.5);
+    expect(copy.blendMode).toBe('MULTIPLY');
+    expect(copy.mask).toBe(mask);
+    expect(copy.width).toBe(256);
+    expect(copy.height).toBe(128);
+    expect(copy.transform).toEqual(source.transform);
+    expect(copy.transform).not.toBe(source.transform);
+    expect(system.getLayers().map((layer) => layer.name)).toEqual(['Bottom', 'Art', 'Art copy', 'Top']);
+
+    // The source framebuffer is drawn into the copy's framebuffer
+    expect(copy.framebuffer.begin).toHaveBeenCalled();
+    expect(p5.image).toHaveBeenCalledWith(source.framebuffer, 0, 0, 256, 128);
+  });
+
+  test('duplicateLayer copies groups with their children', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    system.createGroup('FX', { mode: 'ISOLATED' });
+    system.createLayer('Glow', { group: 'FX' });
+
+    const copy = system.duplicateLayer('FX', 'FX 2');
+
+    expect(copy.isGroup).toBe(true);
+    expect(copy.mode).toBe('ISOLATED');
+    expect(copy.group).toBeNull();
+    expect(copy.getChildren().map((layer) => layer.name)).toEqual(['Glow copy']);
+    expect(system.getLayers().map((layer) => layer.name)).toEqual(['Glow', 'FX', 'Glow copy', 'FX 2']);
+  });
+
+  test('mergeDown composites into the layer below and removes the merged layer', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const below = system.createLayer('Paint', { width: 256, height: 256 }).setOpacity(0.4);
+    const above = system.createLayer('Ink').setBlendMode('MULTIPLY');
+    const aboveFramebuffer = above.framebuffer;
+    const compositeSpy = jest.spyOn(system.compositor, 'compositeToBuffer');
+
+    expect(system.mergeDown('Ink')).toBe(below);
+
+    // The lower layer is drawn as a plain backdrop, the upper one with its own settings
+    const [backdrop, merged] = compositeSpy.mock.calls[0][0];
+    expect(Object.getPrototypeOf(backdrop)).toBe(below);
+    expect(backdrop.opacity).toBe(1);
+    expect(backdrop.blendMode).toBe('NORMAL');
+    expect(merged).toBe(above);
+
+    // The lower layer keeps its properties but now holds a canvas-sized composite
+    expect(below.opacity).toBe(0.4);
+    expect(below.width).toBe(800);
+    expect(below.customSize).toBe(false);
+    expect(p5.image).toHaveBeenCalledWith(compositeSpy.mock.results[0].value, 0, 0, 800, 600);
+
+    expect(aboveFramebuffer.remove).toHaveBeenCalled();
+    expect(system.getLayer('Ink')).toBeNull();
+    expect(system.getLayers()).toEqual([below]);
+  });
+
+  test('mergeDown fades a lower layer with reduced fill opacity only once', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const below = system.createLayer('Paint').setFillOpacity(0.5);
+    system.createLayer('Ink');
+    system.mergeDown('Ink');
+
+    // The backdrop is composited at full fill; the merged layer keeps its fill opacity
+    const fillOpacities = system.compositor.shader.setUniform.mock.calls
+      .filter(([name]) => name === 'fillOpacity')
+      .map(([, value]) => value);
+    expect(fillOpacities).toEqual([1, 1]);
+    expect(below.fillOpacity).toBe(0.5);
+  });
+
+  test('mergeDown keeps the integer-scaled placement of the lower layer', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    system.createLayer('Pixel Art', { width: 160, height: 90, integerScale: true });
+    system.createLayer('Ink');
+    let backdropTransform = null;
+    const composite = system.compositor.compositeToBuffer.bind(system.compositor);
+    jest.spyOn(system.compositor, 'compositeToBuffer').mockImplementation((layers) => {
+      backdropTransform = layers[0].compositeTransform;
+      return composite(layers);
+    });
+
+    system.mergeDown('Ink');
+
+    // 160x90 fits 5 times into 800x600, centered vertically
+    expect(backdropTransform).toEqual(expect.objectContaining({ x: 0, y: 75, scaleX: 5, scaleY: 5 }));
+  });
+
+  test('mergeDown draws a depth-tested lower layer without depth testing it', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const below = system.createLayer('Scene', { depth: true, depthTest: true });
+    system.createLayer('Ink');
+    system.mergeDown('Ink');
+
+    const hasDepthTest = system.compositor.shader.setUniform.mock.calls.filter(([name]) => name === 'hasDepthTest');
+    expect(hasDepthTest.every(([, value]) => value === false)).toBe(true);
+    expect(system.compositor.depthBuffers).toBeNull();
+    expect(below.depthTest).toBe(true);
+  });
+
+  test('mergeDown refuses to merge into a group or past the bottom', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    system.createLayer('Bottom');
+    system.createGroup('FX');
+    system.createLayer('Top');
+
+    expect(system.mergeDown('Bottom')).toBeNull();
+    expect(system.mergeDown('Top')).toBeNull();
+    expect(system.getLayers()).toHaveLength(3);
+
+    warnSpy.mockRestore();
+  });
+
+  test('flatten collapses visible layers and keeps hidden ones', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const first = system.createLayer('First');
+    system.createLayer('Hidden').hide();
+    system.createGroup('FX');
+    system.createLayer('Glow', { group: 'FX' });
+    const compositeSpy = jest.spyOn(system.compositor, 'compositeToBuffer');
+
+    const flattened = system.flatten();
+
+    expect(compositeSpy.mock.calls[0][0].map((layer) => layer.name)).toEqual(['First', 'FX']);
+    expect(first.framebuffer).toBeNull();
+    expect(flattened.zIndex).toBe(0);
+    expect(system.getLayers().map((layer) => layer.name)).toEqual(['Flattened', 'Hidden']);
+    expect(system.getLayer('Glow')).toBeNull();
+  });
+
+  test('duplicate names are disambiguated but keep their display name', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const first = system.createLayer('Stars');
+    const second = system.createLayer('Stars');
+
+    expect(second.name).toBe('Stars 2');
+    expect(second.displayName).toBe('Stars');
+    expect(system.getLayer('Stars')).toBe(first);
+    expect(system.getLayer('Stars 2')).toBe(second);
+  });
+
+  test('renameLayer keeps name lookups consistent', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const sky = system.createLayer('Sky');
+    const ground = system.createLayer('Ground');
+
+    expect(system.renameLayer('Sky', 'Background')).toBe(sky);
+    expect(system.getLayer('Sky')).toBeNull();
+    expect(system.getLayer('Background')).toBe(sky);
+    expect(sky.toJSON()).toMatchObject({ name: 'Background', displayName: 'Background' });
+
+    // Taking an existing name appends a number instead of stealing the lookup
+    system.renameLayer(ground.id, 'Background');
+    expect(ground.name).toBe('Background 2');
+    expect(ground.displayName).toBe('Background');
+    expect(system.getLayer('Background')).toBe(sky);
+
+    expect(system.renameLayer(sky.id, '  ')).toBeNull();
+    expect(sky.name).toBe('Background');
+
+    system.removeLayer('Background 2');
+    expect(system.getLayer('Background')).toBe(sky);
+
+    warnSpy.mockRestore();
+  });
+
+  test('begin refuses to draw into pixel-locked layers', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const sketch = system.createLayer('Sketch').lock({ pixels: true });
+    system.begin('Sketch');
+    expect(sketch.framebuffer.begin).not.toHaveBeenCalled();
+    expect(system.activeLayerId).toBeNull();
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('locked'));
+
+    // Locking a group locks the layers inside it
+    system.createGroup('Locked').lock({ pixels: true });
+    const child = system.createLayer('Child', { group: 'Locked' });
+    system.begin('Child');
+    expect(child.framebuffer.begin).not.toHaveBeenCalled();
+    expect(system.mergeDown('Locked')).toBeNull();
+
+    sketch.unlock();
+    system.begin('Sketch');
+    system.end();
+    expect(sketch.framebuffer.begin).toHaveBeenCalledTimes(1);
+
+    warnSpy.mockRestore();
+  });
+
+  test('ending a pixel-locked layer that refused to begin leaves it untouched', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const layer = system.createLayer('Sketch').lock({ pixels: true });
+    const revision = layer.revision;
+    layer.begin();
+    layer.end();
+
+    expect(layer.framebuffer.begin).not.toHaveBeenCalled();
+    expect(layer.framebuffer.end).not.toHaveBeenCalled();
+    expect(layer.revision).toBe(revision);
+    expect(layer.hasBeenDrawnTo).toBe(false);
+
+    warnSpy.mockRestore();
+  });
+
+  test('property-locked layers ignore setters', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const layer = system.createLayer('Frame').setOpacity(0.5);
+    system.lockLayer('Frame', { properties: true });
+
+    system.setOpacity('Frame', 1);
+    system.setBlendMode('Frame', 'MULTIPLY');
+    system.setLayerIndex('Frame', 10);
+    layer.setPosition(20, 20);
+
+    expect(layer.opacity).toBe(0.5);
+    expect(layer.blendMode).toBe('NORMAL');
+    expect(layer.zIndex).toBe(0);
+    expect(layer.transform).toBeNull();
+    expect(layer.toJSON().locks).toEqual({ pixels: false, alpha: false, properties: true });
+
+    // Other locks are left alone when unlocking a single one
+    layer.lock({ alpha: true });
+    system.unlockLayer('Frame', { properties: true });
+    expect(layer.locks).toEqual({ pixels: false, alpha: true, properties: false });
+    expect(layer.setOpacity(1).opacity).toBe(1);
+
+    warnSpy.mockRestore();
+  });
+
+  test('alpha-locked layers restore their transparency after drawing', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const layer = system.createLayer('Shading').lock({ alpha: true });
+    system.begin('Shading');
+    system.end();
+
+    const { shader, snapshot, scratch } = layer._alphaLock;
+    const uniforms = shader.setUniform.mock.calls;
+
+    // Snapshot before drawing, then recombine the new colors with the old alpha
+    expect(uniforms).toEqual([
+      ['colorTexture', layer.framebuffer],
+      ['alphaTexture', layer.framebuffer],
+      ['colorTexture', layer.framebuffer],
+      ['alphaTexture', snapshot],
+      ['colorTexture', scratch],
+      ['alphaTexture', scratch]
+    ]);
+    expect(snapshot.begin).toHaveBeenCalledTimes(1);
+    expect(scratch.begin).toHaveBeenCalledTimes(1);
+    expect(layer.framebuffer.begin).toHaveBeenCalledTimes(2);
+
+    // Pixels written from JavaScript keep the transparency too
+    shader.setUniform.mockClear();
+    layer.loadPixels();
+    layer.pixels.fill(255);
+    layer.updatePixels();
+    expect(shader.setUniform.mock.calls.filter(([name]) => name === 'alphaTexture')).toEqual([
+      ['alphaTexture', layer.framebuffer],
+      ['alphaTexture', snapshot],
+      ['alphaTexture', scratch]
+    ]);
+    expect(layer.framebuffer.updatePixels).toHaveBeenCalledTimes(1);
+    expect(layer.pixelsLoaded).toBe(false);
+
+    layer.unlock({ alpha: true });
+    expect(layer._alphaLock).toBeNull();
+    expect(snapshot.remove).toHaveBeenCalled();
+  });
+
+  test('createAdjustmentLayer validates the type and params', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(system.createAdjustmentLayer('SEPIA')).toBeNull();
+
+    const hsl = system.createAdjustmentLayer(AdjustmentTypes.HUE_SATURATION, { hue: 400, saturation: -0.5 });
+    expect(hsl.name).toBe(`Hue/Saturation ${hsl.id}`);
+    expect(hsl.params).toEqual({ hue: 180, saturation: -0.5, lightness: 0 });
+    expect(hsl.framebuffer).toBeNull();
+
+    system.setAdjustmentParams(hsl.name, { lightness: 0.2, vibrance: 1 });
+    expect(hsl.params.lightness).toBe(0.2);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('vibrance'));
+
+    system.begin(hsl.name);
+    expect(system.activeLayerId).toBeNull();
+    expect(errorSpy).toHaveBeenCalled();
+
+    const copy = system.duplicateLayer(hsl.name);
+    expect(copy.isAdjustment).toBe(true);
+    expect(copy.params).toEqual(hsl.params);
+
+    warnSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  test('curves build a lookup texture that is rebuilt when params change', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const curves = system.createAdjustmentLayer(AdjustmentTypes.CURVES, { red: [[0, 1], [1, 0]] }, { name: 'Grade' });
+    const lut = curves.getLut();
+
+    // Red is inverted, green and blue are untouched
+    expect(lut.width).toBe(256);
+    expect(Array.from(lut.pixels.slice(0, 4))).toEqual([255, 0, 0, 255]);
+    expect(Array.from(lut.pixels.slice(255 * 4, 256 * 4))).toEqual([0, 255, 255, 255]);
+    expect(curves.getLut()).toBe(lut);
+    expect(lut.updatePixels).toHaveBeenCalledTimes(1);
+
+    curves.setParams({ rgb: [[0, 0.5], [1, 0.5]] });
+    curves.getLut();
+    expect(lut.updatePixels).toHaveBeenCalledTimes(2);
+    expect(lut.pixels[4 * 100 + 1]).toBe(128);
+    expect(curves.toJSON()).toMatchObject({ adjustmentType: 'CURVES', name: 'Grade' });
+  });
+
+  test('effects are validated, ordered and listed in toJSON', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const layer = system.createLayer('Shape');
+    const blur = system.addEffect('Shape', EffectTypes.BLUR, { radius: 100 });
+    const stroke = layer.addEffect(EffectTypes.STROKE, { color: '#f00', size: 2 });
+
+    expect(layer.addEffect('sparkles')).toBeNull();
+    expect(system.createGroup('Group').addEffect(EffectTypes.BLUR)).toBeNull();
+    expect(blur.params.radius).toBe(64);
+
+    layer.moveEffect(stroke.id, 0).setEffectEnabled(blur.id, false);
+    expect(layer.toJSON().effects).toEqual([
+      { id: stroke.id, type: EffectTypes.STROKE, enabled: true, params: { color: '#f00', opacity: 1, size: 2 } },
+      { id: blur.id, type: EffectTypes.BLUR, enabled: false, params: { radius: 64 } }
+    ]);
+
+    const copy = system.duplicateLayer('Shape');
+    expect(copy.effects.map(effect => [effect.type, effect.enabled])).toEqual([
+      [EffectTypes.STROKE, true],
+      [EffectTypes.BLUR, false]
+    ]);
+
+    layer.lock({ properties: true });
+    layer.removeEffect(stroke.id);
+    expect(layer.effects).toHaveLength(2);
+
+    warnSpy.mockRestore();
+  });
+
+  test('fill layers regenerate only when their params change', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(system.createFillLayer({ type: 'plaid' })).toBeNull();
+
+    const sky = system.createFillLayer({ type: FillTypes.LINEAR, angle: 400 }, { name: 'Sky' });
+    expect(sky.params.angle).toBe(360);
+    expect(sky.toJSON()).toMatchObject({ fillType: FillTypes.LINEAR, params: { angle: 360 } });
+
+    system.render();
+    system.render();
+    expect(sky.framebuffer.begin).toHaveBeenCalledTimes(1);
+    expect(sky._fillShader.setUniform).toHaveBeenCalledWith('fillType', 1);
+    expect(p5.createImage).toHaveBeenCalledWith(256, 1);
+
+    system.setFillParams('Sky', { type: FillTypes.PATTERN, pattern: 'dots' });
+    expect(sky.params).toMatchObject({ pattern: 'dots', size: 16 });
+    expect(sky.params.stops).toBeUndefined();
+    system.render();
+    expect(sky.framebuffer.begin).toHaveBeenCalledTimes(2);
+    expect(sky._fillShader.setUniform).toHaveBeenCalledWith('patternType', 2);
+
+    // Fill content is generated, so it cannot be drawn to or merged into
+    system.begin('Sky');
+    expect(system.activeLayerId).toBeNull();
+    system.createLayer('Above');
+    expect(system.mergeDown('Above')).toBeNull();
+
+    const copy = system.duplicateLayer('Sky');
+    expect(copy.fillType).toBe(FillTypes.PATTERN);
+    expect(copy.params.pattern).toBe('dots');
+
+    warnSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  test('image layers show a placeholder until their source loads', async () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const image = { width: 400, height: 100 };
+    let resolveImage;
+
+    const layer = system.createImageLayer('Photo', new Promise(resolve => { resolveImage = resolve; }), {
+      fit: FitModes.COVER,
+      placeholder: '#333333'
+    });
+    expect(layer.status).toBe('loading');
+
+    const imageCalls = () => p5.image.mock.calls.filter(([source]) => source === image);
+
+    system.render();
+    expect(p5.background).toHaveBeenCalledWith('#333333');
+    expect(imageCalls()).toHaveLength(0);
+
+    resolveImage(image);
+    await layer.loaded;
+    expect(layer.status).toBe('ready');
+
+    // Cover scales 400x100 up to fill 800x600, centered
+    // Copying the source while compositing leaves the revision alone
+    const revision = layer.revision;
+    system.render();
+    system.render();
+    expect(imageCalls()).toEqual([[image, -800, 0, 2400, 600]]);
+    expect(layer.revision).toBe(revision);
+
+    layer.setFit(FitModes.CONTAIN);
+    system.render();
+    expect(imageCalls()[1]).toEqual([image, 0, 200, 800, 200]);
+  });
+
+  test('video layers refresh on every render once frames are available', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const video = document.createElement('video');
+    const capture = { elt: video, width: 320, height: 240 };
+
+    const captureCalls = () => p5.image.mock.calls.filter(([source]) => source === capture);
+
+    const layer = system.createImageLayer('Webcam', capture, { fit: FitModes.STRETCH });
+    expect(layer.isMedia).toBe(true);
+
+    system.render();
+    expect(captureCalls()).toHaveLength(0);
+
+    Object.defineProperty(video, 'readyState', { value: 4 });
+    system.render();
+    system.render();
+    expect(captureCalls()).toEqual([
+      [capture, 0, 0, 800, 600],
+      [capture, 0, 0, 800, 600]
+    ]);
+  });
+
+  test('shader layers render with standard uniforms and report compile errors per layer', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const base = system.createLayer('Base');
+    const plasma = system.createShaderLayer('Plasma', 'void main() {}', { uSpeed: 2 });
+    plasma.setUniform('uSpeed', 3);
+
+    p5.createShader.mockImplementation((vertSource, fragSource) => {
+      if (fragSource === 'void main() {') {
+        throw 'ERROR: 0:1: syntax error';
+      }
+      return { setUniform: jest.fn() };
+    });
+    const broken = system.createShaderLayer('Broken', 'void main() {');
+
+    system.render();
+
+    const uniforms = Object.fromEntries(plasma._shader.setUniform.mock.calls);
+    expect(uniforms.uResolution).toEqual([800, 600]);
+    expect(uniforms.uSpeed).toBe(3);
+    expect(uniforms.uBackground).toBe(system.compositor.bufferB);
+
+    expect(broken.error).toBe('ERROR: 0:1: syntax error');
+    expect(broken.toJSON().error).toBe('ERROR: 0:1: syntax error');
+    expect(errorSpy).toHaveBeenCalledWith('Shader error in layer Broken: ERROR: 0:1: syntax error');
+
+    // The rest of the stack is still composited
+    const layerTextures = system.compositor.shader.setUniform.mock.calls
+      .filter(([name]) => name === 'layerTexture')
+      .map(([, texture]) => texture);
+    expect(layerTextures).toEqual([base.framebuffer, plasma.framebuffer, broken.framebuffer]);
+
+    // Fixing the source compiles it again
+    broken.setShader('void main() { gl_FragColor = vec4(1.0); }');
+    system.render();
+    expect(broken.error).toBeNull();
+
+    errorSpy.mockRestore();
+  });
+
+  test('clear modes apply on the first begin of each frame', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    p5.frameCount = 1;
+
+    const scene = system.createLayer('Scene', { clearMode: ClearModes.EVERY_FRAME });
+    system.createLayer('Manual');
+
+    system.begin('Manual');
+    system.end();
+    expect(p5.clear).not.toHaveBeenCalled();
+
+    system.begin('Scene');
+    system.end();
+    system.begin('Scene');
+    system.end();
+    expect(p5.clear).toHaveBeenCalledTimes(1);
+
+    p5.frameCount = 2;
+    scene.begin();
+    scene.end();
+    expect(p5.clear).toHaveBeenCalledTimes(2);
+    expect(scene.toJSON()).toMatchObject({ clearMode: ClearModes.EVERY_FRAME, fadeAmount: 0.1, fadeColor: null });
+  });
+
+  test('fade mode fades toward transparent or the fade color', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const trails = system.createLayer('Trails', { clearMode: ClearModes.FADE, fadeAmount: 0.2 });
+    trails.begin();
+    trails.end();
+
+    // Faded into the scratch buffer and copied back before drawing starts. Every
+    // pass on an 8-bit layer moves at least one step, so faded pixels reach zero.
+    const { shader, scratch } = trails._fade;
+    expect(shader.setUniform.mock.calls).toEqual([
+      ['layerTexture', trails.framebuffer],
+      ['fadeColor', [0, 0, 0, 0]],
+      ['fadeAmount', 0.2],
+      ['minStep', 1 / 255],
+      ['layerTexture', scratch],
+      ['fadeColor', [0, 0, 0, 0]],
+      ['fadeAmount', 0],
+      ['minStep', 1 / 255]
+    ]);
+    expect(scratch.begin.mock.invocationCallOrder[0])
+      .toBeLessThan(trails.framebuffer.begin.mock.invocationCallOrder[0]);
+    expect(trails.framebuffer.begin).toHaveBeenCalledTimes(2);
+
+    p5.frameCount = 1;
+    shader.setUniform.mockClear();
+    trails.setClearMode(ClearModes.FADE, { fadeColor: '#102030', fadeAmount: 2 });
+    trails.begin();
+    trails.end();
+    expect(shader.setUniform).toHaveBeenCalledWith('fadeColor', [16 / 255, 32 / 255, 48 / 255, 1]);
+    expect(shader.setUniform).toHaveBeenCalledWith('fadeAmount', 1);
+
+    // Float layers store the smallest steps, so nothing is added
+    const glow = system.createLayer('Glow', { format: BufferFormats.FLOAT, clearMode: ClearModes.FADE });
+    glow.begin();
+    glow.end();
+    expect(glow._fade.shader.setUniform).toHaveBeenCalledWith('minStep', 0);
+
+    trails.setClearMode('sometimes');
+    expect(trails.clearMode).toBe(ClearModes.MANUAL);
+    expect(trails._fade).toBeNull();
+    expect(scratch.remove).toHaveBeenCalled();
+
+    warnSpy.mockRestore();
+  });
+
+  test('solo renders only the soloed layers without changing visibility', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const layerTextures = () => system.compositor.shader.setUniform.mock.calls
+      .filter(([name]) => name === 'layerTexture')
+      .map(([, texture]) => texture);
+
+    const background = system.createLayer('Background');
+    const sketch = system.createLayer('Sketch');
+    const shading = system.createLayer('Shading', { clipping: true });
+    const hidden = system.createLayer('Hidden', { visible: false });
+    system.createLayer('Notes');
+
+    system.solo('Shading');
+    system.solo('Hidden');
+    system.render();
+
+    // The clipping base of a soloed layer is shown too, and soloing overrides hidden
+    expect(layerTextures()).toEqual([sketch.framebuffer, shading.framebuffer, hidden.framebuffer]);
+    expect(system.isSoloed('Shading')).toBe(true);
+    expect(hidden.visible).toBe(false);
+
+    // Merges ignore solo
+    system.compositor.shader.setUniform.mockClear();
+    system.compositor.compositeToBuffer(system._getRootLayers());
+    expect(layerTextures()).toContain(background.framebuffer);
+
+    system.unsolo('Hidden');
+    system.unsolo();
+    system.compositor.shader.setUniform.mockClear();
+    system.render();
+    expect(layerTextures()).toHaveLength(4);
+    expect(system.isSoloed('Shading')).toBe(false);
+  });
+
+  test('findLayers matches tags, names and properties', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const sky = system.createLayer('Sky', { tags: ['background'] });
+    const starA = system.createLayer('Star A', { tags: ['fx', 'stars'] });
+    const starB = system.createLayer('Star B', { tags: ['fx'], blendMode: BlendModes.ADD });
+    const hud = system.createLayer('HUD', { tags: ['ui'], visible: false });
+
+    expect(system.findLayers({ tag: 'fx' })).toEqual([starA, starB]);
+    expect(system.findLayers({ tag: ['fx', 'stars'] })).toEqual([starA]);
+    expect(system.findLayers({ name: /^Star/, blendMode: BlendModes.ADD })).toEqual([starB]);
+    expect(system.findLayers({ visible: false })).toEqual([hud]);
+    expect(system.findLayers()).toHaveLength(4);
+
+    sky.addTag('fx').removeTag('background');
+    expect(sky.hasTag('fx')).toBe(true);
+    expect(sky.toJSON().tags).toEqual(['fx']);
+    expect(system.duplicateLayer('Star A').tags).toEqual(['fx', 'stars']);
+  });
+
+  test('selectors apply batch operations to every matching layer', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+
+    const starA = system.createLayer('Star A', { tags: ['fx'] });
+    const starB = system.createLayer('Star B', { tags: ['fx'] });
+    const hud = system.createLayer('HUD', { tags: ['ui'] });
+
+    const result = system.setOpacity({ tag: 'fx' }, 0.5);
+    expect(result).toEqual([starA, starB]);
+    system.hide({ tag: 'fx' }).forEach(layer => expect(layer.visible).toBe(false));
+    system.setBlendMode({ name: /^Star/ }, BlendModes.SCREEN);
+
+    expect([starA.opacity, starB.opacity, hud.opacity]).toEqual([0.5, 0.5, 1]);
+    expect(hud.visible).toBe(true);
+    expect(starB.blendMode).toBe(BlendModes.SCREEN);
+    expect(hud.blendMode).toBe(BlendModes.NORMAL);
+
+    // Single-layer methods use the first match, and warn once when several match
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(system.getLayer({ tag: 'fx' })).toBe(starA);
+    expect(system.getLayer({ tag: 'ui' })).toBe(hud);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain('matches 2 layers');
+    system.draw({ tag: 'fx' }, () => {});
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+
+    system.removeLayer({ tag: 'fx' });
+    expect(system.getLayers()).toEqual([hud]);
+    expect(system.setOpacity({ tag: 'fx' }, 1)).toEqual([]);
+  });
+
+  test('draw ends the layer even when the callback throws', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const sketch = system.createLayer('Sketch');
+
+    expect(() => system.draw('Sketch', () => {
+      throw new Error('broken frame');
+    })).toThrow('broken frame');
+    expect(sketch.framebuffer.end).toHaveBeenCalledTimes(1);
+    expect(p5.pop).toHaveBeenCalledTimes(p5.push.mock.calls.length);
+    expect(system.activeLayerId).toBeNull();
+
+    // Corner origin moves (0, 0) to the top-left of the layer
+    const drawn = jest.fn();
+    expect(system.draw('Sketch', drawn, { origin: 'corner' })).toBe(sketch);
+    expect(drawn).toHaveBeenCalledWith(sketch);
+    expect(p5.camera).toHaveBeenCalled();
+    expect(p5.translate).toHaveBeenCalledWith(-400, -300);
+
+    // Several layers in one call
+    const hud = system.createLayer('HUD');
+    const results = system.draw({ Sketch: () => {}, HUD: () => {} }, { push: false });
+    expect(results).toEqual({ Sketch: sketch, HUD: hud });
+    expect(hud.framebuffer.end).toHaveBeenCalledTimes(1);
+
+    // Keys are strings, so numeric ones are looked up as IDs
+    const drawnById = [];
+    const byId = system.draw({ [hud.id]: (layer) => drawnById.push(layer) });
+    expect(drawnById).toEqual([hud]);
+    expect(byId).toEqual({ [hud.id]: hud });
+
+    // ...unless a layer is named after them
+    const named = system.createLayer(String(hud.id));
+    system.draw({ [hud.id]: (layer) => drawnById.push(layer) });
+    expect(drawnById).toEqual([hud, named]);
+  });
+
+  test('begin calls nest and render reports layers left open', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const scene = system.createLayer('Scene');
+    const helper = system.createLayer('Helper');
+
+    system.begin('Scene');
+    system.begin('Helper');
+    expect(system.activeLayer).toBe(helper);
+    expect(scene.framebuffer.end).not.toHaveBeenCalled();
+
+    system.end();
+    expect(helper.framebuffer.end).toHaveBeenCalledTimes(1);
+    expect(system.activeLayer).toBe(scene);
+
+    // A layer cannot be begun twice
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    system.begin('Scene');
+    expect(scene.framebuffer.begin).toHaveBeenCalledTimes(1);
+
+    system.begin('Helper');
+    system.render();
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('Scene > Helper'));
+    expect(scene.framebuffer.end).toHaveBeenCalledTimes(1);
+    expect(system.activeLayer).toBeNull();
+    error.mockRestore();
+  });
+
+  test('pixel readback is cached until the layer is drawn to again', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const sketch = system.createLayer('Sketch', { width: 100, height: 50, density: 2 });
+
+    sketch.loadPixels();
+    sketch.pixels.set([255, 128, 0, 255], ((10 * 200) + 20) * 4);
+    expect(sketch.getPixel(10.25, 5.25)).toEqual([255, 128, 0, 255]);
+    expect(sketch.getPixel(-1, 0)).toEqual([0, 0, 0, 0]);
+    expect(sketch.framebuffer.loadPixels).toHaveBeenCalledTimes(1);
+
+    const region = sketch.getRegion(10, 5, 2, 2);
+    expect([region.width, region.height]).toEqual([4, 4]);
+    expect(Array.from(region.pixels.subarray(0, 4))).toEqual([255, 128, 0, 255]);
+
+    sketch.updatePixels();
+    expect(sketch.framebuffer.updatePixels).toHaveBeenCalledTimes(1);
+    expect(sketch.pixelsLoaded).toBe(true);
+
+    system.begin('Sketch');
+    system.end();
+    expect(sketch.pixelsLoaded).toBe(false);
+    sketch.getPixel(0, 0);
+    expect(sketch.framebuffer.loadPixels).toHaveBeenCalledTimes(2);
+  });
+
+  test('content bounds are reported in canvas space and trimLayer crops to them', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const sprite = system.createLayer('Sprite', { width: 400, height: 300 });
+
+    // Content from (100, 50) to (119, 59) in layer pixels
+    sprite.loadPixels();
+    for (let y = 50; y < 60; y++) {
+      for (let x = 100; x < 120; x++) {
+        sprite.pixels[(y * 400 + x) * 4 + 3] = 255;
+      }
+    }
+
+    // The layer is stretched over the 800x600 canvas
+    expect(sprite.getContentBounds()).toEqual({ x: 200, y: 100, width: 40, height: 20 });
+    expect(sprite.getContentBounds({ padding: 2 })).toEqual({ x: 196, y: 96, width: 48, height: 28 });
+
+    const previous = sprite.framebuffer;
+    system.trimLayer('Sprite', { padding: 2 });
+
+    expect([sprite.width, sprite.height]).toEqual([24, 14]);
+    expect(previous.remove).toHaveBeenCalled();
+    expect(p5.image).toHaveBeenLastCalledWith(previous, -98, -48, 400, 300);
+    expect(sprite.transform).toEqual(expect.objectContaining({ x: 196, y: 96, scaleX: 2, scaleY: 2 }));
+    expect(sprite.layerToCanvas(2, 2)).toEqual({ x: 200, y: 100 });
+  });
 });
@@ -1,4 +1,5 @@
 import { LayerSystem } from '../src/LayerSystem.js';
+import { AdjustmentTypes, BufferFormats, FillTypes } from '../src/constants.js';
 import { createP5Stub } from './utils/p5Stub.js';
 
 describe('LayerUI', () => {
@@ -383,4 +384,245 @@ describe('LayerUI', () => {
     flushSpy.mockRestore();
     ui.dispose();
   });
+
+  test('group rows show a folder icon and indent their children', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const group = system.createGroup('FX');
+    const child = system.createLayer('Glow', { group: 'FX' });
+    const ui = system.createUI();
+    ui.update();
+
+    const groupEl = ui.layerElements.get(group.id);
+    const childEl = ui.layerElements.get(child.id);
+
+    expect(groupEl.classList.contains('p5ml-group-item')).toBe(true);
+    expect(groupEl.querySelector('.p5ml-group-icon')).not.toBeNull();
+    expect(groupEl.querySelector('.p5ml-group-mode-select')).not.toBeNull();
+    expect(childEl.querySelector('.p5ml-layer-row').style.paddingLeft).toBe('28px');
+
+    // Group header is listed above its children
+    expect([...ui.layersContainer.children]).toEqual([groupEl, childEl]);
+
+    ui.dispose();
+  });
+
+  test('keyboard move only swaps a layer with its siblings', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const outside = system.createLayer('Outside');
+    system.createGroup('FX');
+    const first = system.createLayer('First', { group: 'FX' });
+    const second = system.createLayer('Second', { group: 'FX' });
+    const ui = system.createUI();
+    ui.update();
+
+    ui._selectLayer(second.id);
+    ui._moveSelectedLayer(-1); // Already topmost inside the group
+    expect(second.zIndex).toBeGreaterThan(first.zIndex);
+
+    ui._moveSelectedLayer(1);
+    expect(second.zIndex).toBeLessThan(first.zIndex);
+    expect(outside.zIndex).toBe(0);
+
+    ui.dispose();
+  });
+
+  test('double-click rename goes through renameLayer', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const layer = system.createLayer('Sketch');
+    const ui = system.createUI();
+    const renameSpy = jest.spyOn(system, 'renameLayer');
+
+    const nameSpan = ui.layerElements.get(layer.id).querySelector('.p5ml-layer-name');
+    nameSpan.dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+
+    const input = ui.layerElements.get(layer.id).querySelector('.p5ml-rename-input');
+    expect(input.value).toBe('Sketch');
+
+    input.value = 'Ink';
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+    expect(renameSpy).toHaveBeenCalledWith(layer.id, 'Ink');
+    expect(system.getLayer('Ink')).toBe(layer);
+    expect(nameSpan.textContent).toBe('Ink');
+    expect(ui.layerElements.get(layer.id).querySelector('.p5ml-rename-input')).toBeNull();
+
+    // Escape cancels without renaming
+    nameSpan.dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+    const cancelInput = ui.layerElements.get(layer.id).querySelector('.p5ml-rename-input');
+    cancelInput.value = 'Discarded';
+    cancelInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    expect(renameSpy).toHaveBeenCalledTimes(1);
+    expect(layer.name).toBe('Ink');
+
+    ui.dispose();
+  });
+
+  test('lock toggle locks the layer and disables its property controls', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const layer = system.createLayer('Sketch');
+    const ui = system.createUI();
+
+    const layerEl = ui.layerElements.get(layer.id);
+    const lockToggle = layerEl.querySelector('.p5ml-lock-toggle');
+    expect(lockToggle.textContent).toBe('🔓');
+
+    lockToggle.click();
+    expect(layer.locks).toEqual({ pixels: true, alpha: false, properties: true });
+    expect(lockToggle.textContent).toBe('🔒');
+    expect(layerEl.classList.contains('p5ml-locked')).toBe(true);
+    expect(layerEl.querySelector('.p5ml-opacity-slider').disabled).toBe(true);
+
+    lockToggle.click();
+    expect(layer.isLocked()).toBe(false);
+    expect(layerEl.querySelector('.p5ml-blend-select').disabled).toBe(false);
+
+    ui.dispose();
+  });
+
+  test('adjustment rows expose their params', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const levels = system.createAdjustmentLayer(AdjustmentTypes.LEVELS);
+    const gradient = system.createAdjustmentLayer(AdjustmentTypes.GRADIENT_MAP);
+    const ui = system.createUI();
+
+    const levelsEl = ui.layerElements.get(levels.id);
+    expect(levelsEl.querySelector('.p5ml-adjustment-icon')).not.toBeNull();
+    expect(levelsEl.querySelector('.p5ml-blend-select')).toBeNull();
+
+    const gamma = levelsEl.querySelector('.p5ml-adjustment-slider[data-param="gamma"]');
+    gamma.value = '2.5';
+    gamma.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(levels.params.gamma).toBe(2.5);
+
+    const stops = ui.layerElements.get(gradient.id).querySelector('.p5ml-adjustment-input');
+    expect(stops.value).toBe('0:#000000 1:#ffffff');
+    stops.value = '0:#102030 0.5:#ff0000 1:#ffffff';
+    stops.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(gradient.params.stops[1]).toEqual({ position: 0.5, color: '#ff0000' });
+
+    // Invalid text is kept and flagged in the row until it is fixed
+    const gradientEl = ui.layerElements.get(gradient.id);
+    stops.value = '0:#102030 oops';
+    stops.dispatchEvent(new Event('change', { bubbles: true }));
+    ui.syncState();
+    expect(stops.value).toBe('0:#102030 oops');
+    expect(gradientEl.classList.contains('p5ml-error')).toBe(true);
+    expect(gradientEl.querySelector('.p5ml-layer-name').title).toContain('Invalid stops');
+    expect(gradient.params.stops).toHaveLength(3);
+
+    stops.value = '0:#000000 1:#ffffff';
+    stops.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(gradientEl.classList.contains('p5ml-error')).toBe(false);
+    expect(gradient.params.stops).toHaveLength(2);
+
+    // Params changed from code show up after the next sync
+    system.setAdjustmentParams(levels.id, { gamma: 0.5 });
+    ui.syncState();
+    expect(gamma.value).toBe('0.5');
+
+    ui.dispose();
+  });
+
+  test('fill rows expose colors and choices', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const fill = system.createFillLayer({ type: FillTypes.PATTERN, color: '#f00' });
+    const ui = system.createUI();
+
+    const fillEl = ui.layerElements.get(fill.id);
+    expect(fillEl.querySelector('.p5ml-blend-select').value).toBe('NORMAL');
+
+    const color = fillEl.querySelector('.p5ml-adjustment-input[data-param="color"]');
+    expect(color.type).toBe('color');
+    expect(color.value).toBe('#ff0000');
+
+    const pattern = fillEl.querySelector('select[data-param="pattern"]');
+    pattern.value = 'stripes';
+    pattern.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(fill.params.pattern).toBe('stripes');
+
+    ui.dispose();
+  });
+
+  test('fill slider sets the fill opacity of layers with pixels', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const layer = system.createLayer('Title');
+    const group = system.createGroup('Folder');
+    const ui = system.createUI();
+
+    const fillSlider = ui.layerElements.get(layer.id).querySelector('[data-property="fillOpacity"]');
+    expect(fillSlider).not.toBeNull();
+    expect(ui.layerElements.get(group.id).querySelector('[data-property="fillOpacity"]')).toBeNull();
+
+    fillSlider.value = '40';
+    fillSlider.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(layer.fillOpacity).toBe(0.4);
+    expect(layer.opacity).toBe(1);
+
+    layer.setFillOpacity(0.75);
+    ui.syncState();
+    expect(fillSlider.value).toBe('75');
+    expect(fillSlider.parentElement.querySelector('.p5ml-opacity-value').textContent).toBe('75%');
+
+    ui.dispose();
+  });
+
+  test('alt-click on the visibility checkbox solos the layer', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const base = system.createLayer('Base');
+    const top = system.createLayer('Top');
+    const ui = system.createUI();
+
+    const checkbox = (layer) => ui.layerElements.get(layer.id).querySelector('.p5ml-visibility-checkbox');
+    const altClick = (layer, shiftKey = false) => checkbox(layer).dispatchEvent(
+      new MouseEvent('click', { altKey: true, shiftKey, bubbles: true, cancelable: true })
+    );
+
+    altClick(top);
+    expect([...system.soloedLayerIds]).toEqual([top.id]);
+    expect(checkbox(top).checked).toBe(true);
+    expect(top.visible).toBe(true);
+    expect(ui.layerElements.get(base.id).classList.contains('p5ml-muted')).toBe(true);
+
+    altClick(base, true);
+    expect(system.isSoloed('Base')).toBe(true);
+    expect(ui.layerElements.get(base.id).classList.contains('p5ml-soloed')).toBe(true);
+
+    // Plain Alt-click solos just that layer; again on the only soloed layer shows everything
+    altClick(base);
+    expect([...system.soloedLayerIds]).toEqual([base.id]);
+    altClick(base);
+    expect(system.soloedLayerIds.size).toBe(0);
+    expect(ui.layerElements.get(top.id).classList.contains('p5ml-muted')).toBe(false);
+
+    ui.dispose();
+  });
+
+  test('thumbnails read pixels through layer.loadPixels()', () => {
+    const p5 = createP5Stub();
+    const system = new LayerSystem(p5);
+    const layer = system.createLayer('Sketch');
+    const glow = system.createLayer('Glow', { format: BufferFormats.FLOAT });
+    const ui = system.createUI();
+
+    // The readback is shared with the sketch's own loadPixels()
+    layer.loadPixels();
+    const captured = ui._captureLayerImage(layer);
+    expect([captured.canvas.width, captured.canvas.height]).toEqual([800, 600]);
+    expect(layer.framebuffer.loadPixels).toHaveBeenCalledTimes(1);
+
+    // Float layers are converted to 8 bits
+    const floatCapture = ui._captureLayerImage(glow);
+    expect(floatCapture.canvas.width).toBe(800);
+    expect(glow.pixelsLoaded).toBe(true);
+
+    ui.dispose();
+  });
 });
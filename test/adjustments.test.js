@@ -0,0 +1,33 @@
+import { evaluateCurve, evaluateGradient, parseColor } from '../src/utils/adjustments.js';
+
+describe('adjustment utilities', () => {
+  test('evaluateCurve passes through its control points', () => {
+    const points = [[0, 0], [0.25, 0.5], [1, 1]];
+
+    expect(evaluateCurve([[0, 0], [1, 1]], 0.3)).toBeCloseTo(0.3);
+    expect(evaluateCurve(points, 0.25)).toBeCloseTo(0.5);
+    expect(evaluateCurve(points, 0)).toBe(0);
+    expect(evaluateCurve(points, 1)).toBe(1);
+  });
+
+  test('evaluateCurve stays monotone between points', () => {
+    const points = [[0, 0], [0.1, 0.9], [0.2, 1], [1, 1]];
+    let previous = 0;
+    for (let x = 0; x <= 1; x += 0.01) {
+      const y = evaluateCurve(points, x);
+      expect(y).toBeGreaterThanOrEqual(previous - 1e-9);
+      expect(y).toBeLessThanOrEqual(1);
+      previous = y;
+    }
+  });
+
+  test('evaluateGradient interpolates between parsed stops', () => {
+    const stops = [{ position: 1, color: '#fff' }, { position: 0, color: [0, 0, 255] }];
+
+    expect(parseColor('#ff8000')).toEqual([255, 128, 0]);
+    expect(parseColor('orange')).toBeNull();
+    expect(evaluateGradient(stops, 0)).toEqual([0, 0, 255]);
+    expect(evaluateGradient(stops, 0.5)).toEqual([127.5, 127.5, 255]);
+    expect(evaluateGradient(stops, 1)).toEqual([255, 255, 255]);
+  });
+});
@@ -0,0 +1,22 @@
+import { computeAnchorRect, computeFitRect } from '../src/utils/fit.js';
+import { FitModes, ResizeAnchors } from '../src/constants.js';
+
+describe('computeFitRect', () => {
+  test('cover and contain keep the aspect ratio and center the source', () => {
+    expect(computeFitRect(FitModes.COVER, 200, 100, 100, 100)).toEqual({ x: -50, y: 0, width: 200, height: 100 });
+    expect(computeFitRect(FitModes.CONTAIN, 200, 100, 100, 100)).toEqual({ x: 0, y: 25, width: 100, height: 50 });
+  });
+
+  test('none keeps the natural size and stretch fills the target', () => {
+    expect(computeFitRect(FitModes.NONE, 40, 20, 100, 100)).toEqual({ x: 30, y: 40, width: 40, height: 20 });
+    expect(computeFitRect(FitModes.STRETCH, 40, 20, 100, 100)).toEqual({ x: 0, y: 0, width: 100, height: 100 });
+  });
+});
+
+describe('computeAnchorRect', () => {
+  test('places the content at the anchor point of the target', () => {
+    expect(computeAnchorRect(ResizeAnchors.TOP_LEFT, 40, 20, 100, 100)).toEqual({ x: 0, y: 0, width: 40, height: 20 });
+    expect(computeAnchorRect(ResizeAnchors.CENTER, 40, 20, 100, 100)).toEqual({ x: 30, y: 40, width: 40, height: 20 });
+    expect(computeAnchorRect(ResizeAnchors.BOTTOM, 200, 200, 100, 100)).toEqual({ x: -50, y: -100, width: 200, height: 200 });
+  });
+});
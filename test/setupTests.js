@@ -28,6 +28,12 @@ if (CanvasCtor) {
       closePath: () => {},
       save: () => {},
       restore: () => {},
+      createImageData: (width, height) => ({
+        width,
+        height,
+        data: new Uint8ClampedArray(width * height * 4)
+      }),
+      putImageData: () => {},
       getImageData: () => ({
         data: new Uint8ClampedArray((canvas.width || 1) * (canvas.height || 1) * 4)
       })
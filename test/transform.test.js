@@ -0,0 +1,60 @@
+import { createTransform, createCanvasToLayerMatrix, createIntegerScaleTransform, layerToCanvas } from '../src/utils/transform.js';
+
+function applyMatrix(m, x, y) {
+  return {
+    u: m[0] * x + m[3] * y + m[6],
+    v: m[1] * x + m[4] * y + m[7]
+  };
+}
+
+describe('transform utilities', () => {
+  test('layerToCanvas places the anchor at the layer position', () => {
+    const transform = { ...createTransform(), x: 300, y: 200, anchorX: 0.5, anchorY: 0.5 };
+
+    expect(layerToCanvas(transform, 100, 50, 50, 25)).toEqual({ x: 300, y: 200 });
+    expect(layerToCanvas(transform, 100, 50, 0, 0)).toEqual({ x: 250, y: 175 });
+  });
+
+  test('layerToCanvas scales and rotates around the anchor', () => {
+    const transform = { ...createTransform(), x: 10, y: 10, scaleX: 2, scaleY: 2, rotation: Math.PI / 2 };
+    const point = layerToCanvas(transform, 100, 100, 10, 0);
+
+    expect(point.x).toBeCloseTo(10);
+    expect(point.y).toBeCloseTo(30);
+  });
+
+  test('canvas-to-layer matrix inverts layerToCanvas into normalized coordinates', () => {
+    const transform = {
+      ...createTransform(),
+      x: 400,
+      y: 300,
+      scaleX: 1.5,
+      scaleY: 0.5,
+      rotation: 0.3,
+      anchorX: 0.25,
+      anchorY: 0.75
+    };
+    const matrix = createCanvasToLayerMatrix(transform, 256, 128);
+    const canvasPoint = layerToCanvas(transform, 256, 128, 64, 32);
+    const { u, v } = applyMatrix(matrix, canvasPoint.x, canvasPoint.y);
+
+    expect(u).toBeCloseTo(64 / 256);
+    expect(v).toBeCloseTo(32 / 128);
+  });
+
+  test('canvas-to-layer matrix is null for zero scale', () => {
+    expect(createCanvasToLayerMatrix({ ...createTransform(), scaleX: 0 }, 100, 100)).toBeNull();
+  });
+
+  test('integer scale transforms round to whole device pixels', () => {
+    const layer = { width: 160, height: 90, density: 1 };
+    const canvas = { width: 800, height: 600, density: 2 };
+
+    // Each layer pixel covers 3 device pixels, i.e. 1.5 canvas pixels
+    const transform = { ...createTransform(), x: 4, scaleX: 1.3, scaleY: 0 };
+    expect(createIntegerScaleTransform(transform, layer, canvas)).toMatchObject({ x: 4, scaleX: 1.5, scaleY: 0 });
+
+    expect(createIntegerScaleTransform(null, { width: 300, height: 90, density: 1 }, canvas))
+      .toMatchObject({ x: 25, y: 187.5, scaleX: 2.5, scaleY: 2.5 });
+  });
+});
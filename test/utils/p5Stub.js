@@ -5,7 +5,8 @@ export function createP5Stub() {
     width: 800,
     height: 600,
     _pixelDensity: 1,
-    _renderer: { drawingContext: new global.WebGLRenderingContext() },
+    // Every extension is available unless a test replaces getExtension
+    _renderer: { drawingContext: Object.assign(new global.WebGLRenderingContext(), { getExtension: jest.fn(() => ({})) }) },
     _removeSignal: controller.signal,
     pixelDensity() {
       return this._pixelDensity;
@@ -13,7 +14,14 @@ export function createP5Stub() {
     setPixelDensity(value) {
       this._pixelDensity = value;
     },
-    createShader: jest.fn(() => ({})),
+    createShader: jest.fn(() => ({ setUniform: jest.fn() })),
+    createImage: jest.fn((width, height) => ({
+      width,
+      height,
+      pixels: new Uint8ClampedArray(width * height * 4),
+      loadPixels: jest.fn(),
+      updatePixels: jest.fn()
+    })),
     push: jest.fn(),
     pop: jest.fn(),
     blendMode: jest.fn(),
@@ -23,10 +31,18 @@ export function createP5Stub() {
     noStroke: jest.fn(),
     fill: jest.fn(),
     rect: jest.fn(),
+    translate: jest.fn(),
+    camera: jest.fn(),
     resetShader: jest.fn(),
     clear: jest.fn(),
+    background: jest.fn(),
     image: jest.fn(),
-    BLEND: 'BLEND'
+    BLEND: 'BLEND',
+    LINEAR: 'linear',
+    NEAREST: 'nearest',
+    UNSIGNED_BYTE: 'unsigned-byte',
+    HALF_FLOAT: 'half-float',
+    FLOAT: 'float'
   };
 
   stub.createFramebuffer = jest.fn((options = {}) => {
@@ -39,10 +55,16 @@ export function createP5Stub() {
       height: canvas.height,
       density: options.density ?? stub._pixelDensity,
       canvas,
+      depth: options.depth ? {} : undefined,
       begin: jest.fn(),
       end: jest.fn(),
       remove: jest.fn(),
-      get: () => ({ canvas })
+      get: () => ({ canvas }),
+      pixels: null,
+      loadPixels: jest.fn(function () {
+        this.pixels = this.pixels || new Uint8Array(canvas.width * this.density * canvas.height * this.density * 4);
+      }),
+      updatePixels: jest.fn()
     };
   });
 